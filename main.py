@@ -4,6 +4,7 @@
 Builds the static site using Jinja2 templates
 """
 
+import hashlib
 import shutil
 from pathlib import Path
 
@@ -39,9 +40,10 @@ def ensure_build_dirs():
 
 
 def copy_static_assets():
-    """Copy static assets to build directory"""
+    """Copy static assets to build directory, returning the files copied"""
     src_static = Path(__file__).parent / "src" / "static"
     build_static = Path(__file__).parent / "build" / "static"
+    copied = []
 
     # Copy JavaScript files
     js_src = src_static / "js"
@@ -49,6 +51,7 @@ def copy_static_assets():
     if js_src.exists():
         for js_file in js_src.glob("*.js"):
             shutil.copy2(js_file, js_dest / js_file.name)
+            copied.append(js_file)
             print(f"Copied {js_file.name}")
 
     # Copy fonts
@@ -57,6 +60,7 @@ def copy_static_assets():
     if fonts_src.exists():
         for font_file in fonts_src.glob("*.woff2"):
             shutil.copy2(font_file, fonts_dest / font_file.name)
+            copied.append(font_file)
             print(f"Copied {font_file.name}")
 
     # Copy images if they exist
@@ -66,8 +70,26 @@ def copy_static_assets():
         for img_file in img_src.iterdir():
             if img_file.is_file():
                 shutil.copy2(img_file, img_dest / img_file.name)
+                copied.append(img_file)
                 print(f"Copied {img_file.name}")
 
+    return copied
+
+
+def asset_url(path):
+    """URL a file under src/static is served from"""
+    src_static = Path(__file__).parent / "src" / "static"
+    return "/static/" + path.relative_to(src_static).as_posix()
+
+
+def build_version(paths):
+    """Short hash of the files the site is built from, for the cache name"""
+    digest = hashlib.sha256()
+    for path in sorted(paths):
+        digest.update(path.as_posix().encode())
+        digest.update(path.read_bytes())
+    return digest.hexdigest()[:12]
+
 
 def render_template(env, template_name, output_path, context=None):
     """Render a Jinja2 template and write to file"""
@@ -93,7 +115,7 @@ def build_site():
 
     # Copy static assets
     print("\nCopying static assets...")
-    copy_static_assets()
+    assets = copy_static_assets()
 
     # Render index page
     print("\nGenerating HTML pages...")
@@ -105,6 +127,31 @@ def build_site():
         ),
     }
     render_template(env, "index.html", build_dir / "index.html", context)
+    render_template(
+        env, "manifest.webmanifest", build_dir / "manifest.webmanifest", context
+    )
+
+    # Service worker, precaching everything above plus the Tailwind CSS
+    # (built separately from styles.css, so hashed by its sources)
+    root = Path(__file__).parent
+    sources = [
+        *assets,
+        *(root / "src" / "templates").iterdir(),
+        root / "src" / "static" / "css" / "styles.css",
+        root / "tailwind.config.js",
+    ]
+    precache = [
+        "/index.html",
+        "/manifest.webmanifest",
+        "/static/css/styles.css",
+        *sorted(asset_url(path) for path in assets),
+    ]
+    render_template(
+        env,
+        "service-worker.js",
+        build_dir / "service-worker.js",
+        {"precache": precache, "version": build_version(sources)},
+    )
 
     print("\n✓ Build complete!")
     print(f"Output directory: {build_dir}")
@@ -0,0 +1,241 @@
+/**
+ * BPM Clock - Accessibility
+ * Feedback that doesn't rely on colour or sight: screen-reader
+ * announcements, a table of taps in place of the ring, haptic beats and
+ * early/late cues
+ */
+
+// ========================================
+// Constants and Configuration
+// ========================================
+
+const ACCESSIBILITY_STORAGE_KEY = 'bpmclock.accessibility';
+
+const FEEDBACK_CUES = {
+    OFF: 'off',
+    TONES: 'tones',     // A short high tone for early, low for late
+    SPEECH: 'speech',   // "Early" or "late", spoken
+};
+
+const ACCESSIBILITY_DEFAULTS = {
+    announce: false,    // Announce results every few bars to screen readers
+    haptics: false,     // Vibrate on every beat, where the device can
+    cues: FEEDBACK_CUES.OFF,
+};
+
+const HAPTIC_PULSES = {
+    accent: 40,     // Vibration on the downbeat (ms)
+    beat: 15,
+};
+
+const CUE_TONES = {
+    early: 1320,    // Hz
+    late: 440,
+    gain: 0.2,
+    decay: 0.08,    // Seconds
+};
+
+// ========================================
+// Accessibility Profile (localStorage)
+// ========================================
+
+/**
+ * The player's accessible-feedback choices, saved between visits
+ */
+class AccessibilityProfile {
+    constructor() {
+        this.settings = { ...ACCESSIBILITY_DEFAULTS, ...this.load() };
+        if (!Object.values(FEEDBACK_CUES).includes(this.settings.cues)) {
+            this.settings.cues = FEEDBACK_CUES.OFF;
+        }
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(ACCESSIBILITY_STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    persist() {
+        try {
+            localStorage.setItem(ACCESSIBILITY_STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('Could not save accessibility settings', error);
+        }
+    }
+
+    get() {
+        return { ...this.settings };
+    }
+
+    set(changes) {
+        this.settings = { ...this.settings, ...changes };
+        this.persist();
+    }
+}
+
+// ========================================
+// Live Announcements
+// ========================================
+
+/**
+ * Reads a session out through an ARIA live region: a sentence on the bars
+ * since the last one at most every ANNOUNCE.minGap, never one per tap
+ */
+class BarAnnouncer {
+    constructor(region) {
+        this.region = region;
+        this.reset();
+    }
+
+    reset() {
+        this.nextTap = 0;       // First tap result not announced yet
+        this.nextBar = 1;       // First finished bar not announced yet, counting from 1
+        this.lastSpoken = -Infinity;
+    }
+
+    /**
+     * Called on the downbeat of bar `bar` (counting from 0, so bar `bar`
+     * has just finished counting from 1) with every tap result so far
+     */
+    onDownbeat(bar, results, now = performance.now()) {
+        if (bar < this.nextBar || now - this.lastSpoken < ANNOUNCE.minGap) return;
+
+        const label = bar === this.nextBar ? `Bar ${bar}` : `Bars ${this.nextBar} to ${bar}`;
+        this.say(describeTaps(results.slice(this.nextTap), label));
+        this.nextTap = results.length;
+        this.nextBar = bar + 1;
+        this.lastSpoken = now;
+    }
+
+    say(text) {
+        // Clearing first makes a repeat of the same words count as a change
+        this.region.textContent = '';
+        requestAnimationFrame(() => {
+            this.region.textContent = text;
+        });
+    }
+}
+
+// ========================================
+// Haptics and Cues
+// ========================================
+
+/**
+ * A buzz on every beat, stronger on the downbeat. Does nothing where
+ * navigator.vibrate isn't offered (most desktops, iOS).
+ */
+function vibrateBeat(isDownbeat) {
+    if (!('vibrate' in navigator)) return;
+    navigator.vibrate(isDownbeat ? HAPTIC_PULSES.accent : HAPTIC_PULSES.beat);
+}
+
+/**
+ * Early/late cues as tones on the metronome's audio context or as speech.
+ * Speech is skipped while the last cue is still being spoken.
+ */
+class FeedbackCues {
+    constructor(metronome) {
+        this.metronome = metronome;
+    }
+
+    play(kind, mode) {
+        if (mode === FEEDBACK_CUES.TONES) {
+            this.playTone(CUE_TONES[kind]);
+        } else if (mode === FEEDBACK_CUES.SPEECH && 'speechSynthesis' in window) {
+            if (speechSynthesis.speaking) return;
+            const utterance = new SpeechSynthesisUtterance(kind);
+            utterance.rate = 1.5;
+            speechSynthesis.speak(utterance);
+        }
+    }
+
+    /**
+     * Played through the metronome like a click, so the microphone doesn't
+     * take the tone for a hit
+     */
+    playTone(frequency) {
+        const ctx = this.metronome.audioContext;
+        if (!ctx) return;
+
+        this.metronome.playSound(ctx.currentTime, {
+            type: 'triangle',
+            frequency,
+            gain: CUE_TONES.gain,
+            decay: CUE_TONES.decay,
+        });
+    }
+}
+
+// ========================================
+// Tap Table
+// ========================================
+
+/**
+ * A table of every tap, the text alternative to a tap ring canvas. Rows
+ * are only built while the table's <details> is open; the canvas's label
+ * always carries a one-line summary.
+ */
+class TapTable {
+    constructor({ details, body, canvas }) {
+        this.details = details;
+        this.body = body;
+        this.canvas = canvas;
+        this.state = null;
+        this.rendered = [];     // Each voice's analysis the rows were built from
+
+        this.details.addEventListener('toggle', () => {
+            this.rendered = [];
+            if (this.state) this.render(this.state);
+        });
+    }
+
+    render(state) {
+        this.state = state;
+
+        // Analyses are cached until a tap or setting changes them
+        const analyses = state.voices.map((voice, index) => state.analyze(index));
+        if (analyses.length === this.rendered.length && analyses.every((analysis, index) => analysis === this.rendered[index])) {
+            return;
+        }
+
+        const rows = [];
+        analyses.forEach((analysis, voice) => {
+            analysis.taps.forEach(result => rows.push({ voice, result }));
+        });
+        rows.sort((a, b) => a.result.time - b.result.time);
+        this.canvas.setAttribute('aria-label', describeRing(rows.map(row => row.result)));
+
+        if (!this.details.open) return;
+        this.rendered = analyses;
+
+        const labelled = state.voices.length > 1;
+        this.body.innerHTML = '';
+        rows.forEach(({ voice, result }, index) => {
+            const pattern = state.voices[voice].pattern;
+            const cells = [
+                index + 1,
+                labelled ? state.voices[voice].label : null,
+                describePosition(result, state.beatsPerBar, Boolean(pattern)),
+                describeTiming(result) || '—',
+                describeRating(result) + (result.missedBefore > 0 ? ` · ${result.missedBefore} missed before` : ''),
+            ].filter(cell => cell !== null);
+
+            const row = document.createElement('tr');
+            row.className = 'border-t border-cream-border';
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.className = 'py-1 px-2';
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            this.body.appendChild(row);
+        });
+
+        // The voice column is only there with more than one voice
+        const voiceHeader = this.details.querySelector('[data-voice-column]');
+        if (voiceHeader) voiceHeader.classList.toggle('hidden', !labelled);
+    }
+}
@@ -0,0 +1,133 @@
+/**
+ * BPM Clock - Announcements
+ * Words for what the ring and colours show: each tap, a run of bars and a
+ * whole session, for screen readers and the table view
+ */
+
+// ========================================
+// Constants and Configuration
+// ========================================
+
+const ANNOUNCE = {
+    minGap: 4000,   // ms between live announcements, however short the bars
+    onTime: 0.5,    // Errors under this many ms are read as on time
+};
+
+// Words for unscored taps, by TAP_EVENTS value
+const TAP_EVENT_WORDS = {
+    double: 'double hit',
+    extra: 'extra tap',
+};
+
+// Early/late cue for a tap, when it's worth one
+const CUE_KINDS = {
+    EARLY: 'early',
+    LATE: 'late',
+};
+
+// ========================================
+// Single Taps
+// ========================================
+
+/**
+ * "12 ms early", "3 ms late" or "on time" for an analyzeTaps() result, or
+ * null for a tap that wasn't scored
+ */
+function describeTiming(result) {
+    if (result.error === null) return null;
+    if (Math.abs(result.error) < ANNOUNCE.onTime) return 'on time';
+    return `${Math.abs(result.error).toFixed(0)} ms ${result.error < 0 ? 'early' : 'late'}`;
+}
+
+function describeRating(result) {
+    if (result.event !== null) return `${TAP_EVENT_WORDS[result.event]}, not scored`;
+    return result.category === null ? 'not scored' : result.category;
+}
+
+/**
+ * Where a tap landed: "bar 2, beat 3", or "note 5" against a rhythm
+ * pattern, whose indexes count notes rather than beats
+ */
+function describePosition(result, beatsPerBar, isPattern = false) {
+    if (result.beatIndex === null) return '—';
+    if (isPattern) return `note ${result.beatIndex + 1}`;
+    return `bar ${Math.floor(result.beatIndex / beatsPerBar) + 1}, beat ${(result.beatIndex % beatsPerBar) + 1}`;
+}
+
+/**
+ * Cue for a scored tap outside the perfect band, or null
+ */
+function getCue(result) {
+    if (result.error === null || result.category === 'perfect') return null;
+    return result.error < 0 ? CUE_KINDS.EARLY : CUE_KINDS.LATE;
+}
+
+// ========================================
+// Runs of Taps
+// ========================================
+
+/**
+ * Counts of a run of analyzeTaps() results: { taps, scored, perfect, good,
+ * off, missed, meanError } with meanError null when nothing was scored
+ */
+function countTaps(results) {
+    const scored = results.filter(result => result.error !== null);
+    const count = (category) => scored.filter(result => result.category === category).length;
+    return {
+        taps: results.length,
+        scored: scored.length,
+        perfect: count('perfect'),
+        good: count('good'),
+        off: count('off'),
+        missed: results.reduce((sum, result) => sum + result.missedBefore, 0),
+        meanError: scored.length > 0
+            ? scored.reduce((sum, result) => sum + result.error, 0) / scored.length
+            : null,
+    };
+}
+
+/**
+ * One sentence on a run of taps for a live announcement, e.g.
+ * "Bars 3 to 4: 8 taps, 6 perfect, 2 good, 1 missed, 12 ms early on average"
+ */
+function describeTaps(results, label) {
+    const counts = countTaps(results);
+    if (counts.taps === 0) return `${label}: no taps`;
+
+    const parts = [`${counts.taps} ${counts.taps === 1 ? 'tap' : 'taps'}`];
+    ['perfect', 'good', 'off'].forEach(category => {
+        if (counts[category] > 0) parts.push(`${counts[category]} ${category}`);
+    });
+    if (counts.missed > 0) parts.push(`${counts.missed} missed`);
+    if (counts.meanError !== null) {
+        const timing = describeTiming({ error: counts.meanError });
+        parts.push(timing === 'on time' ? 'on time on average' : `${timing} on average`);
+    }
+    return `${label}: ${parts.join(', ')}`;
+}
+
+/**
+ * Short text alternative for a tap ring, e.g. "24 taps: 18 perfect, 4 good,
+ * 2 off, 3 missed beats"
+ */
+function describeRing(results) {
+    const counts = countTaps(results);
+    if (counts.taps === 0) return 'No taps yet';
+    const missed = counts.missed > 0 ? `, ${counts.missed} missed ${counts.missed === 1 ? 'beat' : 'beats'}` : '';
+    return `${counts.taps} ${counts.taps === 1 ? 'tap' : 'taps'}: ${counts.perfect} perfect, `
+        + `${counts.good} good, ${counts.off} off${missed}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ANNOUNCE,
+        CUE_KINDS,
+        describeTiming,
+        describeRating,
+        describePosition,
+        getCue,
+        countTaps,
+        describeTaps,
+        describeRing,
+    };
+}
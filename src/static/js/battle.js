@@ -0,0 +1,59 @@
+/**
+ * BPM Clock - Tap Battle
+ * Local multiplayer: two or more players on one device tapping along to
+ * the same click, ranked against each other
+ */
+
+// ========================================
+// Constants and Configuration
+// ========================================
+
+// Leads under this many ms from the group's average read as with the group
+const ENSEMBLE_LEAD_MARGIN = 1;
+
+// ========================================
+// Ranking
+// ========================================
+
+/**
+ * Players in finishing order from each one's summary stats, as
+ * [{ player, place }] with `player` an index into `summaries`. Accuracy
+ * decides, then consistency, both compared as shown (accuracy to a tenth
+ * of a percent, consistency to a whole point); players level on both share
+ * a place. Players with no scored taps come last, together.
+ */
+function rankPlayers(summaries) {
+    const shown = (value, scale) => (value === null ? -1 : Math.round(value * scale));
+    const entries = summaries.map((summary, player) => ({
+        player,
+        accuracy: summary.scoredCount > 0 ? shown(summary.accuracy, 10) : -1,
+        consistency: summary.scoredCount > 0 ? shown(summary.consistency, 1) : -1,
+    }));
+    entries.sort((a, b) => b.accuracy - a.accuracy || b.consistency - a.consistency || a.player - b.player);
+
+    let place = 0;
+    return entries.map((entry, index) => {
+        const previous = entries[index - 1];
+        if (!previous || previous.accuracy !== entry.accuracy || previous.consistency !== entry.consistency) {
+            place = index + 1;
+        }
+        return { player: entry.player, place };
+    });
+}
+
+/**
+ * A measureEnsemble() lead as "12 ms ahead of the group", "8 ms behind
+ * the group" or "with the group", or null for a player who shared no notes
+ */
+function describeLead(lead) {
+    if (lead === null) return null;
+    if (Math.abs(lead) < ENSEMBLE_LEAD_MARGIN) return 'with the group';
+    return `${Math.abs(lead).toFixed(0)} ms ${lead < 0 ? 'ahead of' : 'behind'} the group`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        rankPlayers,
+        describeLead,
+    };
+}
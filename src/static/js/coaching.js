@@ -0,0 +1,221 @@
+/**
+ * BPM Clock - Coaching
+ * Reads a session's PID profile and consistency, says what to work on and
+ * picks the next exercise
+ */
+
+// ========================================
+// Constants and Configuration
+// ========================================
+
+const COACHING = {
+    minScored: 8,               // Fewer scored taps than this get no advice
+    integralLimit: 0.1,         // I term past this share of a beat is a build-up (as getTempoStatus)
+    integralShare: 0.4,         // Share of taps with a build-up that makes it persistent
+    derivativeLimit: 0.05,      // D term past this share of a beat is a swing (as getTempoStatus)
+    derivativeShare: 0.3,       // Share of taps swinging that makes the tempo unsettled
+    unsteadyAccuracy: 85,       // Below either of these, slow down
+    unsteadyConsistency: 70,
+    solidAccuracy: 95,          // Above both of these, move on
+    solidConsistency: 85,
+    slowerBy: 0.1,              // Share of the tempo a slower session drops
+    fasterBy: 5,                // BPM a faster session adds
+    minBPM: 40,
+    maxBPM: 240,
+    durations: [30, 60, 90, 120],   // Session lengths on offer, in seconds
+};
+
+// Next-session drills
+const COACHING_DRILLS = {
+    SLOWER: 'slower',
+    SUBDIVIDE: 'subdivide',
+    GAP: 'gap-click',
+    LONGER: 'longer',
+    FASTER: 'faster',
+    REPEAT: 'repeat',
+};
+
+// ========================================
+// PID Profile
+// ========================================
+
+/**
+ * How the PID terms behaved over a session's scored taps: the share of taps
+ * whose integral had built up past COACHING.integralLimit of a beat and its
+ * mean in ms (negative is early), and the share whose derivative swung past
+ * COACHING.derivativeLimit. Null without scored taps.
+ */
+function getPIDProfile(taps) {
+    const scored = taps.filter(tap => tap.pid);
+    if (scored.length === 0) return null;
+
+    const share = (test) => scored.filter(test).length / scored.length;
+    return {
+        count: scored.length,
+        meanIntegral: scored.reduce((sum, tap) => sum + tap.pid.i, 0) / scored.length,
+        integralShare: share(tap => Math.abs(tap.pid.i) > tap.target * COACHING.integralLimit),
+        swingShare: share(tap => Math.abs(tap.pid.d) > tap.target * COACHING.derivativeLimit),
+    };
+}
+
+// ========================================
+// Next Session
+// ========================================
+
+function slowerBPM(bpm) {
+    // Down to a round number, at least 5 BPM slower
+    const target = Math.floor((bpm * (1 - COACHING.slowerBy)) / 5) * 5;
+    return Math.max(COACHING.minBPM, Math.min(target, bpm - 5));
+}
+
+/**
+ * The next exercise for `drill`, as { drill, label, reason, settings }
+ * with `settings` the changes to make to the session's `settings`
+ */
+function suggestDrill(drill, settings) {
+    const bpm = settings.bpm;
+    const longer = COACHING.durations.find(duration => duration > settings.duration);
+
+    switch (drill) {
+        case COACHING_DRILLS.SLOWER: {
+            const slower = slowerBPM(bpm);
+            return {
+                drill,
+                label: `Slow down to ${slower} BPM`,
+                reason: 'A slower tempo leaves time to place every tap. Come back up once it feels easy.',
+                settings: { bpm: slower },
+            };
+        }
+        case COACHING_DRILLS.SUBDIVIDE:
+            return {
+                drill,
+                label: `${bpm} BPM with eighth-note clicks`,
+                reason: 'Clicks between the beats give you something to wait for, and to lean on.',
+                settings: { subdivision: 2 },
+            };
+        case COACHING_DRILLS.GAP:
+            return {
+                drill,
+                label: `Gap-click drill at ${bpm} BPM`,
+                reason: 'The click drops out every other bar, so holding the tempo is up to you.',
+                settings: { gapClick: { mode: 'fixed', playBars: 1, muteBars: 1 } },
+            };
+        case COACHING_DRILLS.LONGER:
+            return {
+                drill,
+                label: `${bpm} BPM for ${longer} seconds`,
+                reason: 'Same tempo, longer: see if it holds once concentration starts to dip.',
+                settings: { duration: longer },
+            };
+        case COACHING_DRILLS.FASTER: {
+            const faster = Math.min(COACHING.maxBPM, bpm + COACHING.fasterBy);
+            return {
+                drill,
+                label: `Speed up to ${faster} BPM`,
+                reason: 'This tempo is under control. Push on a little.',
+                settings: { bpm: faster },
+            };
+        }
+        default:
+            return {
+                drill: COACHING_DRILLS.REPEAT,
+                label: `Same again at ${bpm} BPM`,
+                reason: 'Another round at this tempo to make it reliable before moving on.',
+                settings: {},
+            };
+    }
+}
+
+// ========================================
+// Coaching
+// ========================================
+
+/**
+ * Advice on a session from analyzeSession() output and the settings it was
+ * played with: { verdict, advice: [sentence], suggestion } where
+ * suggestion is suggestDrill() output, or null with too few taps to judge.
+ */
+function coachSession(analysis, settings) {
+    const { taps, summary } = analysis;
+    const profile = getPIDProfile(taps);
+
+    if (!profile || profile.count < COACHING.minScored) {
+        return {
+            verdict: 'Not enough taps to coach on yet.',
+            advice: ['Tap through the whole session to get advice on your timing.'],
+            suggestion: null,
+        };
+    }
+
+    const advice = [];
+    const drills = [];
+    const consistency = summary.consistency === null ? 0 : summary.consistency;
+    const percent = (share) => `${Math.round(share * 100)}%`;
+
+    // Taps scattered either side of the beat
+    const unsteady = summary.accuracy < COACHING.unsteadyAccuracy || consistency < COACHING.unsteadyConsistency;
+    if (unsteady) {
+        advice.push(`Your taps landed ${summary.errorStats.stdDev.toFixed(0)}ms either side of the beat on average `
+            + `(consistency ${consistency.toFixed(0)}). Steadiness comes before speed.`);
+        drills.push(COACHING_DRILLS.SLOWER);
+    }
+
+    // The integral term: error that kept building the same way
+    if (profile.integralShare >= COACHING.integralShare) {
+        const early = profile.meanIntegral < 0;
+        advice.push(`You were ${early ? 'ahead of' : 'behind'} the beat for ${percent(profile.integralShare)} `
+            + `of the session, ${Math.abs(summary.avgError).toFixed(0)}ms ${early ? 'early' : 'late'} on average. `
+            + (early
+                ? 'Let each click land before you move on to the next tap.'
+                : 'Anticipate the click a little instead of reacting to it.'));
+        drills.push(settings.subdivision > 1 ? COACHING_DRILLS.SLOWER : COACHING_DRILLS.SUBDIVIDE);
+    }
+
+    // The derivative term: tempo surging and easing from tap to tap
+    if (profile.swingShare >= COACHING.derivativeShare) {
+        const drift = summary.driftPerMinute;
+        const direction = Math.abs(drift) >= 1
+            ? `, ${drift > 0 ? 'speeding up' : 'slowing down'} ${Math.abs(drift).toFixed(1)} BPM a minute overall`
+            : '';
+        advice.push(`Your tempo swung from tap to tap on ${percent(profile.swingShare)} of taps${direction}. `
+            + 'Aim for an even pulse rather than correcting each tap.');
+        drills.push(settings.gapClick && settings.gapClick.mode !== 'off' ? COACHING_DRILLS.SLOWER : COACHING_DRILLS.GAP);
+    }
+
+    const solid = summary.accuracy >= COACHING.solidAccuracy && consistency >= COACHING.solidConsistency;
+    if (drills.length === 0 && solid) {
+        advice.push(`Accurate (${summary.accuracy.toFixed(1)}%) and consistent (${consistency.toFixed(0)}), `
+            + 'with no lasting lean or swing in your tempo.');
+        // Sessions counted in bars or taps aren't lengthened in seconds
+        const longer = !settings.endAfter && COACHING.durations.some(duration => duration > settings.duration);
+        drills.push(longer ? COACHING_DRILLS.LONGER : COACHING_DRILLS.FASTER);
+    } else if (drills.length === 0) {
+        advice.push('No lasting rushing, dragging or swing: the errors were small and scattered.');
+        drills.push(COACHING_DRILLS.REPEAT);
+    }
+
+    let verdict;
+    if (unsteady) {
+        verdict = 'Your timing was unsteady. Slow down and lock it in.';
+    } else if (profile.integralShare >= COACHING.integralShare) {
+        verdict = profile.meanIntegral < 0 ? 'You rushed ahead of the beat.' : 'You dragged behind the beat.';
+    } else if (profile.swingShare >= COACHING.derivativeShare) {
+        verdict = 'Your tempo wandered.';
+    } else if (solid) {
+        verdict = 'Outstanding! You have metronome-like precision.';
+    } else {
+        verdict = 'Good job! Keep practicing for even better consistency.';
+    }
+
+    return { verdict, advice, suggestion: suggestDrill(drills[0], settings) };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        COACHING,
+        COACHING_DRILLS,
+        getPIDProfile,
+        suggestDrill,
+        coachSession,
+    };
+}
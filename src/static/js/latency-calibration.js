@@ -0,0 +1,117 @@
+/**
+ * BPM Clock - Latency Calibration
+ * Per-input-source latency offsets, measured by tapping along to a known
+ * click and subtracted from every tap before scoring
+ */
+
+// ========================================
+// Constants and Configuration
+// ========================================
+
+const INPUT_SOURCES = {
+    POINTER: 'pointer',     // Mouse clicks and touches on the tap zone
+    KEYBOARD: 'keyboard',   // Space / Enter
+    MIDI: 'midi',
+    MIC: 'mic',
+};
+
+const INPUT_SOURCE_LABELS = {
+    pointer: 'Mouse / touch',
+    keyboard: 'Keyboard',
+    midi: 'MIDI',
+    mic: 'Microphone',
+};
+
+const CALIBRATION = {
+    bpm: 100,
+    beats: 24,          // Beats played per calibration run
+    warmupBeats: 4,     // Taps on these beats are ignored while the player locks in
+    minTaps: 8,         // Taps a source needs before its offset is trusted
+    storageKey: 'bpmclock.latency',
+};
+
+// ========================================
+// Latency Profile (localStorage)
+// ========================================
+
+/**
+ * Stored offset in ms per input source. Positive means taps from that
+ * source arrive late and are moved earlier before scoring.
+ */
+class LatencyProfile {
+    constructor() {
+        this.offsets = this.load();
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(CALIBRATION.storageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    persist() {
+        try {
+            localStorage.setItem(CALIBRATION.storageKey, JSON.stringify(this.offsets));
+        } catch (error) {
+            console.warn('Could not save latency calibration', error);
+        }
+    }
+
+    getOffset(source) {
+        return this.offsets[source] || 0;
+    }
+
+    setOffset(source, offset) {
+        this.offsets[source] = offset;
+        this.persist();
+    }
+
+    clear(source) {
+        delete this.offsets[source];
+        this.persist();
+    }
+}
+
+// ========================================
+// Calibration Run
+// ========================================
+
+/**
+ * Collects raw (uncorrected) tap offsets from the nearest click during one
+ * calibration run and reduces them to a median offset per source.
+ */
+class LatencyCalibration {
+    constructor() {
+        this.offsets = {};  // source -> [ms]
+    }
+
+    addTap(source, timestamp, beat) {
+        if (!beat || beat.index < CALIBRATION.warmupBeats) return;
+        if (!this.offsets[source]) this.offsets[source] = [];
+        this.offsets[source].push(timestamp - beat.timeMs);
+    }
+
+    /**
+     * { source: { offset, spread, taps } } for sources with enough taps.
+     * Median offset shrugs off the odd flam; spread is the interquartile range.
+     */
+    getResults() {
+        const results = {};
+
+        Object.entries(this.offsets).forEach(([source, offsets]) => {
+            if (offsets.length < CALIBRATION.minTaps) return;
+
+            const sorted = offsets.slice().sort((a, b) => a - b);
+            const quantile = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+            results[source] = {
+                offset: quantile(0.5),
+                spread: quantile(0.75) - quantile(0.25),
+                taps: offsets.length,
+            };
+        });
+
+        return results;
+    }
+}
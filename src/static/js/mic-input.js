@@ -0,0 +1,111 @@
+/**
+ * BPM Clock - Microphone Input
+ * Onset detection on live microphone audio, so hits on a drum, practice pad
+ * or guitar count as taps
+ */
+
+// ========================================
+// Constants and Configuration
+// ========================================
+
+const MIC_CONFIG = {
+    processorUrl: '/static/js/onset-processor.js',
+    clickHeardBefore: 0.01, // Seconds before a metronome click it may reach the mic
+    clickHeardAfter: 0.08,  // Seconds after, covering its decay and speaker and mic latency
+};
+
+// ========================================
+// Microphone Input
+// ========================================
+
+/**
+ * Runs OnsetProcessor on the microphone through the metronome's
+ * AudioContext, so onset times share the click's clock. Detected hits are
+ * reported through `onTap(timestamp)` on the performance.now() clock.
+ */
+class MicInput {
+    constructor() {
+        this.audioContext = null;
+        this.stream = null;
+        this.source = null;
+        this.node = null;
+        this.sensitivity = 0.5;
+        this.refractory = 0.08;
+        this.onTap = null;
+    }
+
+    isSupported() {
+        return typeof navigator !== 'undefined'
+            && navigator.mediaDevices
+            && typeof navigator.mediaDevices.getUserMedia === 'function'
+            && typeof AudioWorkletNode !== 'undefined';
+    }
+
+    isActive() {
+        return this.node !== null;
+    }
+
+    async start(audioContext) {
+        if (this.node) return;
+
+        this.audioContext = audioContext;
+        await audioContext.audioWorklet.addModule(MIC_CONFIG.processorUrl);
+
+        // Processing meant for voice calls smears or removes drum hits
+        this.stream = await navigator.mediaDevices.getUserMedia({
+            audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+        });
+
+        this.source = audioContext.createMediaStreamSource(this.stream);
+        this.node = new AudioWorkletNode(audioContext, 'onset-processor', {
+            numberOfInputs: 1,
+            numberOfOutputs: 0,
+        });
+        this.node.port.onmessage = (event) => this.handleMessage(event.data);
+        this.source.connect(this.node);
+        this.configure({ sensitivity: this.sensitivity, refractory: this.refractory });
+    }
+
+    stop() {
+        if (this.source) this.source.disconnect();
+        if (this.stream) this.stream.getTracks().forEach(track => track.stop());
+        this.source = null;
+        this.stream = null;
+        this.node = null;
+    }
+
+    /**
+     * `sensitivity` 0-1, `refractory` in seconds
+     */
+    configure({ sensitivity, refractory }) {
+        this.sensitivity = sensitivity;
+        this.refractory = refractory;
+        if (this.node) {
+            this.node.port.postMessage({ type: 'config', sensitivity, refractory });
+        }
+    }
+
+    /**
+     * Tell detection about a click booked at context time `time` with the
+     * given sound ({ type, frequency }). While it can be heard, hits must
+     * stand out from the click's own band, so the click isn't taken for one.
+     */
+    expectClick(time, { type, frequency }) {
+        if (!this.node) return;
+        this.node.port.postMessage({
+            type: 'click',
+            from: time - MIC_CONFIG.clickHeardBefore,
+            to: time + MIC_CONFIG.clickHeardAfter + (this.audioContext.outputLatency || 0),
+            sound: type,
+            frequency,
+        });
+    }
+
+    handleMessage(message) {
+        if (message.type !== 'onset' || !this.onTap) return;
+
+        // Onset time is on the context's render clock; map it onto performance.now()
+        const ageMs = (this.audioContext.currentTime - message.time) * 1000;
+        this.onTap(performance.now() - ageMs);
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * BPM Clock - MIDI Input
+ * Web MIDI note-on messages from drum pads and keyboards as taps
+ */
+
+// ========================================
+// Constants and Configuration
+// ========================================
+
+const MIDI_STATUS = {
+    NOTE_OFF: 0x80,
+    NOTE_ON: 0x90,
+};
+
+// ========================================
+// MIDI Input
+// ========================================
+
+/**
+ * Listens to one Web MIDI input and reports matching note-ons through
+ * `onTap(timestamp, message)`. `timestamp` is the event's high-resolution
+ * time, on the same clock as performance.now().
+ */
+class MidiInput {
+    constructor() {
+        this.access = null;
+        this.input = null;
+        this.noteFilter = null;     // MIDI note number, or null for any note
+        this.channelFilter = null;  // 1-16, or null for any channel
+        this.onTap = null;
+        this.onDevicesChanged = null;
+        this.learnCallback = null;
+    }
+
+    isSupported() {
+        return typeof navigator !== 'undefined' && 'requestMIDIAccess' in navigator;
+    }
+
+    async requestAccess() {
+        if (!this.access) {
+            this.access = await navigator.requestMIDIAccess();
+            this.access.onstatechange = () => {
+                if (this.onDevicesChanged) this.onDevicesChanged(this.getInputs());
+            };
+        }
+        return this.getInputs();
+    }
+
+    getInputs() {
+        if (!this.access) return [];
+        return Array.from(this.access.inputs.values()).map(input => ({
+            id: input.id,
+            name: input.name || input.manufacturer || 'MIDI input',
+        }));
+    }
+
+    selectInput(id) {
+        if (this.input) {
+            this.input.onmidimessage = null;
+        }
+
+        this.input = (this.access && id) ? this.access.inputs.get(id) || null : null;
+        if (this.input) {
+            this.input.onmidimessage = (event) => this.handleMessage(event);
+        }
+    }
+
+    setFilter({ note, channel }) {
+        this.noteFilter = note;
+        this.channelFilter = channel;
+    }
+
+    /**
+     * Call `callback(note)` with the next note-on from the selected input,
+     * whatever the filter, instead of reporting it as a tap
+     */
+    learnNote(callback) {
+        this.learnCallback = callback;
+    }
+
+    handleMessage(event) {
+        const [status, note, velocity] = event.data;
+        const type = status & 0xf0;
+        const channel = (status & 0x0f) + 1;
+
+        // Running note-on with velocity 0 is a note-off
+        if (type !== MIDI_STATUS.NOTE_ON || velocity === 0) return;
+
+        if (this.learnCallback) {
+            const callback = this.learnCallback;
+            this.learnCallback = null;
+            callback(note);
+            return;
+        }
+
+        if (this.noteFilter !== null && note !== this.noteFilter) return;
+        if (this.channelFilter !== null && channel !== this.channelFilter) return;
+
+        if (this.onTap) {
+            this.onTap(event.timeStamp || performance.now(), { note, velocity, channel });
+        }
+    }
+}
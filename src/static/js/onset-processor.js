@@ -0,0 +1,201 @@
+/**
+ * BPM Clock - Onset Processor
+ * AudioWorklet that finds percussive onsets in microphone audio.
+ * Loaded with audioWorklet.addModule(), not as a page script.
+ */
+
+// Envelope time constants (seconds)
+const FAST_ENVELOPE = 0.002;    // Peak follower release, tracks the attack
+const SLOW_ENVELOPE = 0.1;      // Running average the attack is compared with
+
+// While a metronome click can be heard, an onset must stand this many times
+// over the click's own bleed. A tonal click sits almost entirely in a narrow
+// band around its pitch, while a hit spreads across the spectrum, so the
+// whole signal is compared with that band. A noise click fills everything
+// above its cutoff, so there the part of the signal two octaves below the
+// cutoff is compared with the little of the click that reaches it. The
+// filters take a moment to ring up, so those onsets are judged on the peaks
+// over a short span after them.
+const CLICK_BAND_RATIO = 2;
+const CLICK_BAND_Q = 4;         // Width of the band-pass around tonal clicks
+const NOISE_CLICK_LEAK = 0.08;  // Share of a noise click's level heard two octaves below its cutoff
+const CLICK_SETTLE = 0.005;     // Seconds an onset during a click waits to be judged
+
+/**
+ * Biquad filter ('bandpass', 'highpass' or 'lowpass') with a peak follower
+ * on its output. Coefficients from the Audio EQ Cookbook.
+ */
+class BandFollower {
+    constructor(shape, frequency, q) {
+        const w0 = (2 * Math.PI * frequency) / sampleRate;
+        const cos = Math.cos(w0);
+        const alpha = Math.sin(w0) / (2 * q);
+        const a0 = 1 + alpha;
+        const b = {
+            bandpass: [alpha, 0, -alpha],
+            highpass: [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2],
+            lowpass: [(1 - cos) / 2, 1 - cos, (1 - cos) / 2],
+        }[shape];
+        this.b0 = b[0] / a0;
+        this.b1 = b[1] / a0;
+        this.b2 = b[2] / a0;
+        this.a1 = (-2 * cos) / a0;
+        this.a2 = (1 - alpha) / a0;
+
+        this.x1 = 0;
+        this.x2 = 0;
+        this.y1 = 0;
+        this.y2 = 0;
+        this.level = 0;
+    }
+
+    process(sample, release) {
+        const y = this.b0 * sample + this.b1 * this.x1 + this.b2 * this.x2 - this.a1 * this.y1 - this.a2 * this.y2;
+        this.x2 = this.x1;
+        this.x1 = sample;
+        this.y2 = this.y1;
+        this.y1 = y;
+
+        const level = Math.abs(y);
+        this.level = level > this.level ? level : this.level * release;
+    }
+}
+
+/**
+ * What one click sounds like at the microphone: its own band (a band-pass
+ * at the pitch of a tonal click, a high-pass at the cutoff of a noise
+ * click) and, for noise clicks, the band below it where hits still show
+ */
+class ClickBand {
+    constructor({ from, to, sound, frequency }) {
+        this.from = from;
+        this.to = to;
+
+        const noise = sound === 'noise';
+        this.band = new BandFollower(noise ? 'highpass' : 'bandpass', frequency, noise ? Math.SQRT1_2 : CLICK_BAND_Q);
+        this.below = noise ? new BandFollower('lowpass', frequency / 4, Math.SQRT1_2) : null;
+        this.leak = noise ? NOISE_CLICK_LEAK : 1;
+    }
+
+    process(sample, release) {
+        this.band.process(sample, release);
+        if (this.below) this.below.process(sample, release);
+    }
+
+    /**
+     * Level of the signal that tells a hit from this click, given the
+     * whole signal's level `fast`, and the most of it the click explains
+     */
+    measure(fast) {
+        return {
+            hit: this.below ? this.below.level : fast,
+            bleed: this.band.level * this.leak,
+        };
+    }
+}
+
+class OnsetProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.fast = 0;
+        this.slow = 0;
+        this.fastCoef = Math.exp(-1 / (FAST_ENVELOPE * sampleRate));
+        this.slowCoef = Math.exp(-1 / (SLOW_ENVELOPE * sampleRate));
+        this.lastOnset = -Infinity;
+        this.clicks = [];   // ClickBand per click that may still reach the mic
+        this.pending = null; // Onset during a click, until it is judged
+        this.configure({ sensitivity: 0.5, refractory: 0.08 });
+
+        this.port.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'config') {
+                this.configure(message);
+            } else if (message.type === 'click') {
+                this.clicks.push(new ClickBand(message));
+            }
+        };
+    }
+
+    /**
+     * Sensitivity 0-1: higher accepts quieter hits and smaller jumps over
+     * the background level. Refractory is the minimum seconds between onsets.
+     */
+    configure({ sensitivity, refractory }) {
+        this.ratio = 1.5 + (1 - sensitivity) * 6;
+        this.floor = 0.005 + (1 - sensitivity) * 0.1;
+        this.refractory = refractory;
+    }
+
+    /**
+     * Clicks that can be heard at `time`, after running `sample` through
+     * every click's filters
+     */
+    hearClicks(sample, time) {
+        return this.clicks.filter(click => {
+            if (time < click.from) return false;
+            click.process(sample, this.fastCoef);
+            return time <= click.to;
+        });
+    }
+
+    /**
+     * Keep each heard click's loudest hit and bleed levels for the pending onset
+     */
+    track(pending, heard) {
+        pending.level = Math.max(pending.level, this.fast);
+        heard.forEach(click => {
+            const { hit, bleed } = click.measure(this.fast);
+            const peak = pending.peaks.get(click) || { hit: 0, bleed: 0 };
+            pending.peaks.set(click, { hit: Math.max(peak.hit, hit), bleed: Math.max(peak.bleed, bleed) });
+        });
+    }
+
+    postOnset(time, level) {
+        this.lastOnset = time;
+        this.port.postMessage({ type: 'onset', time, level });
+    }
+
+    process(inputs) {
+        const channel = inputs[0] && inputs[0][0];
+        if (!channel) return true;
+
+        for (let i = 0; i < channel.length; i++) {
+            const level = Math.abs(channel[i]);
+            this.fast = level > this.fast ? level : this.fast * this.fastCoef;
+            this.slow = this.slowCoef * this.slow + (1 - this.slowCoef) * level;
+
+            const time = currentTime + i / sampleRate;
+            const heard = this.hearClicks(channel[i], time);
+
+            if (this.pending) {
+                const pending = this.pending;
+                this.track(pending, heard);
+                if (time - pending.time < CLICK_SETTLE) continue;
+
+                // A hit has to stand out from every click it sounded over
+                this.pending = null;
+                const peaks = [...pending.peaks.values()];
+                if (peaks.every(({ hit, bleed }) => hit > bleed * CLICK_BAND_RATIO)) {
+                    this.postOnset(pending.time, pending.level);
+                }
+            }
+
+            if (this.fast > this.floor
+                && this.fast > this.slow * this.ratio
+                && time - this.lastOnset >= this.refractory) {
+                if (heard.length === 0) {
+                    this.postOnset(time, this.fast);
+                } else {
+                    this.pending = { time, level: 0, peaks: new Map() };
+                    this.track(this.pending, heard);
+                }
+            }
+        }
+
+        // Clicks that have died away can go
+        this.clicks = this.clicks.filter(click => click.to >= currentTime);
+        return true;
+    }
+}
+
+registerProcessor('onset-processor', OnsetProcessor);
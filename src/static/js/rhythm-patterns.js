@@ -0,0 +1,127 @@
+/**
+ * BPM Clock - Rhythm Patterns
+ * One-bar rhythms to tap instead of the plain beat, written as step grids
+ */
+
+// ========================================
+// Constants and Configuration
+// ========================================
+
+/**
+ * Step-grid notation: one character per equal step across the bar, `x` for
+ * a hit and `.` or `-` for a rest. Spaces and `|` are ignored, so steps can
+ * be grouped by beat. "x..x..x...x.x..." is a 3-2 son clave in sixteenths.
+ */
+const PATTERN_NOTATION = {
+    hit: /[xX]/,
+    rest: /[.\-]/,
+    ignored: /[\s|]/g,
+    maxSteps: 64,
+};
+
+const RHYTHM_PATTERNS = {
+    'dotted-eighths': { label: 'Dotted eighth + sixteenth', meter: '4/4', steps: 'x..x x..x x..x x..x' },
+    'dotted-quarters': { label: 'Dotted quarter + eighth', meter: '4/4', steps: 'x..x x..x' },
+    'offbeats': { label: 'Off-beat eighths', meter: '4/4', steps: '.x.x.x.x' },
+    'tresillo': { label: 'Tresillo (3+3+2)', meter: '4/4', steps: 'x..x..x.' },
+    'syncopated': { label: 'Syncopated eighths', meter: '4/4', steps: 'x.xx .x.x' },
+    'triplets': { label: 'Eighth-note triplets', meter: '4/4', steps: 'xxx xxx xxx xxx' },
+    'shuffle': { label: 'Triplet shuffle', meter: '4/4', steps: 'x.x x.x x.x x.x' },
+    'son-clave': { label: 'Son clave 3-2', meter: '4/4', steps: 'x..x ..x. ..x. x...' },
+    'rumba-clave': { label: 'Rumba clave 3-2', meter: '4/4', steps: 'x..x ...x ..x. x...' },
+    'bossa-clave': { label: 'Bossa nova clave', meter: '4/4', steps: 'x..x ..x. ..x. .x..' },
+};
+
+const CUSTOM_PATTERN = 'custom';
+
+// ========================================
+// Parsing
+// ========================================
+
+/**
+ * Parse step-grid notation into a pattern spread over a bar of
+ * `beatsPerBar` beats: { steps, onsets } where each onset is a position in
+ * beats from the downbeat. Throws an Error with a readable message.
+ */
+function parsePattern(text, beatsPerBar) {
+    const steps = String(text || '').replace(PATTERN_NOTATION.ignored, '');
+
+    if (steps.length === 0) {
+        throw new Error('pattern is empty');
+    }
+    if (steps.length > PATTERN_NOTATION.maxSteps) {
+        throw new Error(`pattern has more than ${PATTERN_NOTATION.maxSteps} steps`);
+    }
+
+    const onsets = [];
+    Array.from(steps).forEach((step, index) => {
+        if (PATTERN_NOTATION.hit.test(step)) {
+            onsets.push((index * beatsPerBar) / steps.length);
+        } else if (!PATTERN_NOTATION.rest.test(step)) {
+            throw new Error(`use x for a hit and . for a rest, not "${step}"`);
+        }
+    });
+
+    if (onsets.length === 0) {
+        throw new Error('pattern has no hits');
+    }
+
+    return { steps: steps.length, beatsPerBar, onsets };
+}
+
+// ========================================
+// Onset Grid
+// ========================================
+
+/**
+ * Position in beats from the first downbeat of the pattern's onset number
+ * `index`, counting every onset of every bar from 0
+ */
+function getOnsetPosition(pattern, index) {
+    const count = pattern.onsets.length;
+    const bar = Math.floor(index / count);
+    return bar * pattern.beatsPerBar + pattern.onsets[((index % count) + count) % count];
+}
+
+/**
+ * The pattern onset nearest `timeMs`, worked out from the metronome beat
+ * nearest it. Shaped like a beat ({ index, timeMs, interval, bpm, muted })
+ * so taps can be scored against it the same way; `index` counts onsets.
+ */
+function findNearestOnset(pattern, beat, timeMs) {
+    if (!beat) return null;
+
+    const count = pattern.onsets.length;
+    let nearest = null;
+
+    for (let bar = beat.bar - 1; bar <= beat.bar + 1; bar++) {
+        if (bar < 0) continue;
+
+        pattern.onsets.forEach((position, k) => {
+            const beatsAway = bar * pattern.beatsPerBar + position - beat.index;
+            const onsetMs = beat.timeMs + beatsAway * beat.interval;
+            if (nearest && Math.abs(onsetMs - timeMs) >= Math.abs(nearest.timeMs - timeMs)) return;
+
+            nearest = {
+                index: bar * count + k,
+                bar,
+                position,
+                timeMs: onsetMs,
+                interval: beat.interval,
+                bpm: beat.bpm,
+                muted: beat.muted,
+            };
+        });
+    }
+
+    return nearest;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RHYTHM_PATTERNS,
+        parsePattern,
+        getOnsetPosition,
+        findNearestOnset,
+    };
+}
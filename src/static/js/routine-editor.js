@@ -0,0 +1,315 @@
+/**
+ * BPM Clock - Routine Editor
+ * Saved routines and the screen for building, reordering and sharing them
+ */
+
+// ========================================
+// Constants and Configuration
+// ========================================
+
+const ROUTINE_STORAGE_KEY = 'bpmclock.routines';
+
+// ========================================
+// Routine Store (localStorage)
+// ========================================
+
+/**
+ * Routines saved on this device, in the order they were first saved
+ */
+class RoutineStore {
+    getAll() {
+        try {
+            const routines = JSON.parse(localStorage.getItem(ROUTINE_STORAGE_KEY));
+            return Array.isArray(routines) ? routines : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    persist(routines) {
+        try {
+            localStorage.setItem(ROUTINE_STORAGE_KEY, JSON.stringify(routines));
+        } catch (error) {
+            console.warn('Could not save routines', error);
+        }
+    }
+
+    /**
+     * Save a normalizeRoutine() result, replacing the one with its id.
+     * Returns the routine with its id.
+     */
+    save(routine) {
+        const routines = this.getAll();
+        const saved = { ...routine, id: routine.id || `routine-${Date.now()}` };
+        const index = routines.findIndex(existing => existing.id === saved.id);
+        if (index >= 0) {
+            routines[index] = saved;
+        } else {
+            routines.push(saved);
+        }
+        this.persist(routines);
+        return saved;
+    }
+
+    delete(id) {
+        this.persist(this.getAll().filter(routine => routine.id !== id));
+    }
+}
+
+// ========================================
+// Routine Screen
+// ========================================
+
+/**
+ * The saved routines and an editor for one routine. `choices` is the
+ * { meters, modes } on offer, as for normalizeRoutine(). `onRun(routine)`
+ * plays a checked routine; `onShare(routine, status)` passes on a link.
+ */
+class RoutineEditorView {
+    constructor(store, { choices, onRun, onShare }) {
+        this.store = store;
+        this.choices = choices;
+        this.onRun = onRun;
+        this.onShare = onShare;
+        this.routineId = null;  // Id of the saved routine being edited, null for a new one
+        this.rows = [];
+
+        this.list = document.getElementById('routine-list');
+        this.emptyMessage = document.getElementById('routine-empty');
+        this.nameInput = document.getElementById('routine-name');
+        this.exerciseList = document.getElementById('routine-exercises');
+        this.lengthLabel = document.getElementById('routine-length');
+        this.error = document.getElementById('routine-error');
+        this.status = document.getElementById('routine-status');
+
+        document.getElementById('routine-new-button').addEventListener('click', () => this.edit(null));
+        document.getElementById('routine-add-button').addEventListener('click', () => this.addExercise());
+        document.getElementById('routine-save-button').addEventListener('click', () => this.save());
+        document.getElementById('routine-run-button').addEventListener('click', () => this.run());
+        document.getElementById('routine-share-button').addEventListener('click', () => this.share());
+        this.nameInput.addEventListener('input', () => this.clearMessages());
+    }
+
+    /**
+     * Show the screen's saved routines, keeping whatever is being edited
+     */
+    load() {
+        this.renderList();
+        if (this.rows.length === 0) this.edit(null);
+    }
+
+    renderList() {
+        const routines = this.store.getAll();
+        this.list.innerHTML = '';
+        this.emptyMessage.classList.toggle('hidden', routines.length > 0);
+
+        routines.forEach(routine => {
+            const row = document.createElement('li');
+            row.className = 'flex flex-wrap items-center justify-between gap-2 py-2 border-t border-cream-border first:border-t-0';
+
+            const label = document.createElement('span');
+            label.className = 'text-charcoal';
+            label.textContent = `${routine.name} · ${routine.exercises.length} exercises · ${formatRoutineLength(routine)}`;
+
+            const actions = document.createElement('span');
+            actions.className = 'whitespace-nowrap';
+            [
+                ['Run', () => this.onRun(routine)],
+                ['Edit', () => this.edit(routine)],
+                ['Delete', () => {
+                    this.store.delete(routine.id);
+                    if (this.routineId === routine.id) this.routineId = null;
+                    this.renderList();
+                }],
+            ].forEach(([text, action]) => {
+                const button = document.createElement('button');
+                button.className = 'text-slate-blue hover:text-slate-blue-dark transition-colors ml-3';
+                button.textContent = text;
+                button.addEventListener('click', action);
+                actions.appendChild(button);
+            });
+
+            row.append(label, actions);
+            this.list.appendChild(row);
+        });
+    }
+
+    /**
+     * Load `routine` into the editor, or a new one with a single exercise
+     * for null. Routines from links have no id and save as new.
+     */
+    edit(routine) {
+        this.routineId = routine ? routine.id : null;
+        this.nameInput.value = routine ? routine.name : '';
+        this.rows = [];
+        this.exerciseList.innerHTML = '';
+        (routine ? routine.exercises : [DEFAULT_EXERCISE]).forEach(exercise => this.addExercise(exercise));
+        this.clearMessages();
+    }
+
+    addExercise(exercise) {
+        if (this.rows.length >= ROUTINE_LIMITS.maxExercises) return;
+
+        // A new exercise carries on from the last one
+        const values = exercise || (this.rows.length > 0 ? this.readRow(this.rows[this.rows.length - 1]) : DEFAULT_EXERCISE);
+        const create = (tag, className, attributes = {}) => {
+            const element = document.createElement(tag);
+            element.className = className;
+            Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+            return element;
+        };
+        const labelled = (text, input) => {
+            const label = create('label', 'flex items-center gap-2');
+            const span = create('span', 'text-xs uppercase tracking-wide');
+            span.textContent = text;
+            label.append(span, input);
+            return label;
+        };
+        const select = (options, value, name) => {
+            const element = create('select', 'tap-input text-base p-2', { 'aria-label': name });
+            options.forEach(([optionValue, text]) => {
+                const option = create('option', '', { value: optionValue });
+                option.textContent = text;
+                element.appendChild(option);
+            });
+            element.value = value;
+            return element;
+        };
+
+        const row = create('li', 'flex flex-wrap items-center gap-3 py-3 border-t border-cream-border first:border-t-0');
+        const number = create('span', 'w-6 text-charcoal font-medium');
+        const bpm = create('input', 'tap-input text-base w-20 p-2', {
+            type: 'number', min: ROUTINE_LIMITS.minBPM, max: ROUTINE_LIMITS.maxBPM, 'aria-label': 'Tempo (BPM)',
+        });
+        bpm.value = values.bpm;
+        const duration = create('input', 'tap-input text-base w-20 p-2', {
+            type: 'number', min: ROUTINE_LIMITS.minDuration, max: ROUTINE_LIMITS.maxDuration, step: 5, 'aria-label': 'Length (seconds)',
+        });
+        duration.value = values.duration;
+        const meter = select(this.choices.meters.map(value => [value, value]), values.meter, 'Time signature');
+        const mode = select([['interval', 'Tempo'], ['phase', 'Phase']], values.scoringMode, 'Scoring');
+        const rest = create('input', 'tap-input text-base w-20 p-2', {
+            type: 'number', min: 0, max: ROUTINE_LIMITS.maxRest, step: 5, 'aria-label': 'Rest afterwards (seconds)',
+        });
+        rest.value = values.rest;
+
+        const actions = create('span', 'ml-auto whitespace-nowrap');
+        const entry = { row, number, bpm, duration, meter, mode, rest };
+        [
+            ['↑', 'Move up', () => this.moveExercise(entry, -1)],
+            ['↓', 'Move down', () => this.moveExercise(entry, 1)],
+            ['✕', 'Remove', () => this.removeExercise(entry)],
+        ].forEach(([text, name, action]) => {
+            const button = create('button', 'control-button w-9 h-9 ml-2 inline-flex', { 'aria-label': name, type: 'button' });
+            button.textContent = text;
+            button.addEventListener('click', action);
+            actions.appendChild(button);
+        });
+
+        row.append(number, labelled('BPM', bpm), labelled('Secs', duration), meter, mode, labelled('Rest', rest), actions);
+        row.addEventListener('input', () => this.update());
+        row.addEventListener('change', () => this.update());
+        this.exerciseList.appendChild(row);
+        this.rows.push(entry);
+        this.update();
+    }
+
+    moveExercise(entry, step) {
+        const index = this.rows.indexOf(entry);
+        const target = index + step;
+        if (target < 0 || target >= this.rows.length) return;
+
+        this.rows.splice(index, 1);
+        this.rows.splice(target, 0, entry);
+        this.rows.forEach(row => this.exerciseList.appendChild(row.row));
+        this.update();
+    }
+
+    removeExercise(entry) {
+        if (this.rows.length === 1) return;
+        this.rows.splice(this.rows.indexOf(entry), 1);
+        entry.row.remove();
+        this.update();
+    }
+
+    readRow(entry) {
+        return {
+            bpm: Number(entry.bpm.value),
+            duration: Number(entry.duration.value),
+            meter: entry.meter.value,
+            scoringMode: entry.mode.value,
+            rest: Number(entry.rest.value),
+        };
+    }
+
+    /**
+     * The routine in the editor, checked. Throws like normalizeRoutine().
+     */
+    read() {
+        return normalizeRoutine({
+            id: this.routineId,
+            name: this.nameInput.value,
+            exercises: this.rows.map(entry => this.readRow(entry)),
+        }, this.choices);
+    }
+
+    /**
+     * Renumber the exercises and show the routine's total length
+     */
+    update() {
+        this.rows.forEach((entry, index) => {
+            entry.number.textContent = `${index + 1}.`;
+        });
+        this.clearMessages();
+        try {
+            this.lengthLabel.textContent = `About ${formatRoutineLength(this.read())} in all`;
+        } catch (error) {
+            this.lengthLabel.textContent = '';
+        }
+    }
+
+    clearMessages() {
+        this.error.classList.add('hidden');
+        this.status.classList.add('hidden');
+    }
+
+    /**
+     * `action(routine)` with the checked routine, or the problem shown
+     */
+    withRoutine(action) {
+        let routine;
+        try {
+            routine = this.read();
+        } catch (error) {
+            this.error.textContent = error.message.charAt(0).toUpperCase() + error.message.slice(1);
+            this.error.classList.remove('hidden');
+            return;
+        }
+        action(routine);
+    }
+
+    save() {
+        this.withRoutine(routine => {
+            this.routineId = this.store.save(routine).id;
+            this.renderList();
+            this.status.textContent = `Saved "${routine.name}"`;
+            this.status.classList.remove('hidden');
+        });
+    }
+
+    run() {
+        this.withRoutine(routine => this.onRun(routine));
+    }
+
+    share() {
+        this.withRoutine(routine => this.onShare(routine, this.status));
+    }
+}
+
+/**
+ * A routine's getRoutineLength() as "12 min" or "45 s"
+ */
+function formatRoutineLength(routine) {
+    const seconds = getRoutineLength(routine);
+    return seconds >= 60 ? `${Math.round(seconds / 60)} min` : `${seconds} s`;
+}
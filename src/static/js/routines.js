@@ -0,0 +1,162 @@
+/**
+ * BPM Clock - Routines
+ * Ordered lists of exercises, each with its own tempo, length, meter and
+ * scoring mode and a rest after it, played back to back
+ */
+
+// ========================================
+// Constants and Configuration
+// ========================================
+
+const ROUTINE_LIMITS = {
+    minBPM: 40,
+    maxBPM: 240,
+    minDuration: 10,    // Seconds
+    maxDuration: 600,
+    maxRest: 300,
+    maxExercises: 20,
+    maxName: 60,
+};
+
+// Seconds of countdown before every exercise, even with no rest
+const ROUTINE_COUNTDOWN = 5;
+
+const DEFAULT_EXERCISE = {
+    bpm: 100,
+    duration: 60,
+    meter: '4/4',
+    scoringMode: 'interval',
+    rest: 15,   // Seconds after this exercise, before the next
+};
+
+// ========================================
+// Validation
+// ========================================
+
+/**
+ * A checked copy of `data` as { id, name, exercises }. `choices` lists the
+ * meters and scoring modes on offer as { meters, modes }. Throws an Error
+ * with a readable message naming the exercise at fault.
+ */
+function normalizeRoutine(data, choices) {
+    const name = String((data && data.name) || '').trim();
+    if (name.length === 0) {
+        throw new Error('routine needs a name');
+    }
+    if (name.length > ROUTINE_LIMITS.maxName) {
+        throw new Error(`routine name is longer than ${ROUTINE_LIMITS.maxName} characters`);
+    }
+
+    const exercises = Array.isArray(data.exercises) ? data.exercises : [];
+    if (exercises.length === 0) {
+        throw new Error('routine has no exercises');
+    }
+    if (exercises.length > ROUTINE_LIMITS.maxExercises) {
+        throw new Error(`routine has more than ${ROUTINE_LIMITS.maxExercises} exercises`);
+    }
+
+    const wholeNumber = (value, min, max, what, number) => {
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new Error(`exercise ${number}: ${what} should be a whole number from ${min} to ${max}`);
+        }
+        return value;
+    };
+
+    return {
+        id: data.id || null,
+        name,
+        exercises: exercises.map((exercise, index) => {
+            const number = index + 1;
+            if (!choices.meters.includes(exercise.meter)) {
+                throw new Error(`exercise ${number}: no ${exercise.meter} time signature`);
+            }
+            if (!choices.modes.includes(exercise.scoringMode)) {
+                throw new Error(`exercise ${number}: no "${exercise.scoringMode}" scoring mode`);
+            }
+            return {
+                bpm: wholeNumber(exercise.bpm, ROUTINE_LIMITS.minBPM, ROUTINE_LIMITS.maxBPM, 'tempo', number),
+                duration: wholeNumber(exercise.duration, ROUTINE_LIMITS.minDuration, ROUTINE_LIMITS.maxDuration, 'length', number),
+                meter: exercise.meter,
+                scoringMode: exercise.scoringMode,
+                rest: wholeNumber(exercise.rest || 0, 0, ROUTINE_LIMITS.maxRest, 'rest', number),
+            };
+        }),
+    };
+}
+
+// ========================================
+// Timing
+// ========================================
+
+/**
+ * Seconds of countdown before exercise `index`: the rest after the one
+ * before it, but never less than ROUTINE_COUNTDOWN
+ */
+function getCountdown(routine, index) {
+    const rest = index > 0 ? routine.exercises[index - 1].rest : 0;
+    return Math.max(ROUTINE_COUNTDOWN, rest);
+}
+
+/**
+ * Seconds from the first countdown to the end of the last exercise, not
+ * counting the wait for each exercise's first tap
+ */
+function getRoutineLength(routine) {
+    return routine.exercises.reduce(
+        (total, exercise, index) => total + getCountdown(routine, index) + exercise.duration,
+        0
+    );
+}
+
+// ========================================
+// Report
+// ========================================
+
+/**
+ * Whole-routine results from each exercise's summary stats, in order, as
+ * { count, scoredCount, accuracy, consistency, best, worst } with
+ * accuracy weighted by scored taps and `best`/`worst` exercise indexes.
+ * Exercises with no scored taps count towards nothing but `count`.
+ */
+function summarizeRoutine(stats) {
+    const scored = stats
+        .map((summary, index) => ({ summary, index }))
+        .filter(({ summary }) => summary.scoredCount > 0);
+
+    const scoredCount = scored.reduce((sum, { summary }) => sum + summary.scoredCount, 0);
+    const consistencies = scored
+        .map(({ summary }) => summary.consistency)
+        .filter(consistency => consistency !== null);
+
+    let best = null;
+    let worst = null;
+    scored.forEach(({ summary, index }) => {
+        if (best === null || summary.accuracy > stats[best].accuracy) best = index;
+        if (worst === null || summary.accuracy < stats[worst].accuracy) worst = index;
+    });
+
+    return {
+        count: stats.length,
+        scoredCount,
+        accuracy: scoredCount > 0
+            ? scored.reduce((sum, { summary }) => sum + summary.accuracy * summary.scoredCount, 0) / scoredCount
+            : null,
+        consistency: consistencies.length > 0
+            ? consistencies.reduce((sum, value) => sum + value, 0) / consistencies.length
+            : null,
+        best,
+        worst,
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ROUTINE_LIMITS,
+        ROUTINE_COUNTDOWN,
+        DEFAULT_EXERCISE,
+        normalizeRoutine,
+        getCountdown,
+        getRoutineLength,
+        summarizeRoutine,
+    };
+}
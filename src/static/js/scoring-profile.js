@@ -0,0 +1,106 @@
+/**
+ * BPM Clock - Scoring Profile
+ * Difficulty presets and custom PID tuning, saved between visits
+ */
+
+// ========================================
+// Constants and Configuration
+// ========================================
+
+const DIFFICULTY_PRESETS = {
+    beginner: {
+        label: 'Beginner',
+        thresholds: { PERFECT: 0.04, GOOD: 0.08, ACCEPTABLE: 0.15 },
+    },
+    standard: {
+        label: 'Standard',
+        thresholds: THRESHOLDS,
+    },
+    pro: {
+        label: 'Pro',
+        thresholds: { PERFECT: 0.01, GOOD: 0.03, ACCEPTABLE: 0.06 },
+    },
+};
+
+const CUSTOM_DIFFICULTY = 'custom';
+
+const SCORING_STORAGE_KEY = 'bpmclock.scoring';
+
+// ========================================
+// Scoring Profile (localStorage)
+// ========================================
+
+/**
+ * The active difficulty: a preset's thresholds with the default PID gains,
+ * or, for 'custom', the player's own thresholds and PID tuning.
+ */
+class ScoringProfile {
+    constructor() {
+        const stored = this.load();
+        this.preset = (DIFFICULTY_PRESETS[stored.preset] || stored.preset === CUSTOM_DIFFICULTY)
+            ? stored.preset
+            : 'standard';
+        this.customThresholds = { ...THRESHOLDS, ...stored.thresholds };
+        this.customPID = { ...PID_CONFIG, ...stored.pid };
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(SCORING_STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    persist() {
+        try {
+            localStorage.setItem(SCORING_STORAGE_KEY, JSON.stringify({
+                preset: this.preset,
+                thresholds: this.customThresholds,
+                pid: this.customPID,
+            }));
+        } catch (error) {
+            console.warn('Could not save scoring settings', error);
+        }
+    }
+
+    isCustom() {
+        return this.preset === CUSTOM_DIFFICULTY;
+    }
+
+    /**
+     * Switch to a preset or 'custom'. Custom starts from whatever was active.
+     */
+    setPreset(preset) {
+        if (preset === CUSTOM_DIFFICULTY && !this.isCustom()) {
+            this.customThresholds = { ...this.getThresholds() };
+        }
+        this.preset = preset;
+        this.persist();
+    }
+
+    setCustom({ thresholds, pid }) {
+        this.customThresholds = { ...this.customThresholds, ...thresholds };
+        this.customPID = { ...this.customPID, ...pid };
+        this.persist();
+    }
+
+    getThresholds() {
+        return this.isCustom() ? this.customThresholds : DIFFICULTY_PRESETS[this.preset].thresholds;
+    }
+
+    getPID() {
+        return this.isCustom() ? this.customPID : PID_CONFIG;
+    }
+
+    /**
+     * Plain-data snapshot kept with each session's settings
+     */
+    get() {
+        return {
+            preset: this.preset,
+            thresholds: { ...this.getThresholds() },
+            pid: { ...this.getPID() },
+        };
+    }
+}
@@ -0,0 +1,338 @@
+/**
+ * BPM Clock - Session Export
+ * JSON, CSV and Standard MIDI File export, and JSON import, of session records
+ */
+
+// ========================================
+// Constants and Configuration
+// ========================================
+
+const EXPORT_FORMAT = {
+    name: 'bpmclock-session',
+    version: 1,
+};
+
+const MIDI_CONFIG = {
+    ppq: 480,           // Ticks per quarter note
+    channel: 9,         // General MIDI percussion (channel 10)
+    gridNote: 76,       // Hi wood block
+    accentNote: 77,     // Low wood block, on downbeats
+    tapNote: 38,        // Acoustic snare
+    noteTicks: 60,      // Note length (a 32nd note)
+};
+
+// Per-tap arrays each voice carries alongside `taps`, one entry per tap
+const TAP_FIELDS = ['tapOffsets', 'tapMuted', 'tapTargets', 'tapBPMs'];
+
+// ========================================
+// JSON
+// ========================================
+
+function exportSessionJSON(record) {
+    return JSON.stringify({
+        format: EXPORT_FORMAT.name,
+        version: EXPORT_FORMAT.version,
+        savedAt: record.savedAt,
+        settings: record.settings,
+        session: record.session,
+        stats: record.stats,
+    }, null, 2);
+}
+
+/**
+ * Parse exportSessionJSON() output back into a session record.
+ * Throws an Error with a readable message if the file isn't one.
+ */
+function parseSessionJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('file is not valid JSON');
+    }
+
+    if (!data || data.format !== EXPORT_FORMAT.name) {
+        throw new Error('file is not a BPM Clock session');
+    }
+    if (data.version > EXPORT_FORMAT.version) {
+        throw new Error('file was made by a newer version of BPM Clock');
+    }
+
+    const session = data.session;
+    if (!session || !Array.isArray(session.taps) || !data.settings) {
+        throw new Error('session data is missing');
+    }
+    if (session.voices !== undefined && !Array.isArray(session.voices)) {
+        throw new Error('session voices are damaged');
+    }
+    [session, ...(session.voices || [])].forEach((voice, index) => {
+        const name = index === 0 ? 'session' : `voice ${index + 1}`;
+        if (!voice || !Array.isArray(voice.taps)) {
+            throw new Error(`${name} has no taps`);
+        }
+        // tapBeats is optional: sessions saved before beat alignment lack it
+        const fields = voice.tapBeats ? [...TAP_FIELDS, 'tapBeats'] : TAP_FIELDS;
+        fields.forEach(field => {
+            if (!Array.isArray(voice[field]) || voice[field].length !== voice.taps.length) {
+                throw new Error(`${name} tap data is incomplete (${field} doesn't match its taps)`);
+            }
+        });
+    });
+
+    return {
+        savedAt: data.savedAt,
+        settings: data.settings,
+        session,
+        stats: data.stats,
+    };
+}
+
+/**
+ * Each voice's taps with its name and MIDI note: the session's own taps
+ * first, then any more from independence mode in `session.voices`
+ */
+function getExportVoices(record) {
+    const { session, settings } = record;
+    const voiceSettings = settings.voices || [];
+    return [session, ...(session.voices || [])].map((data, index) => {
+        const voice = voiceSettings[index];
+        return {
+            label: voice ? voice.label : (index === 0 ? 'Taps' : `Voice ${index + 1}`),
+            note: voice && voice.note !== null && voice.note !== undefined ? voice.note : MIDI_CONFIG.tapNote,
+            data,
+        };
+    });
+}
+
+// ========================================
+// CSV
+// ========================================
+
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(3);
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flatten nested settings ({ gapClick: { mode } } -> 'gapClick.mode')
+ */
+function flattenForCSV(object, prefix = '') {
+    return Object.entries(object || {}).flatMap(([key, value]) => {
+        const name = prefix ? `${prefix}.${key}` : key;
+        return value !== null && typeof value === 'object'
+            ? flattenForCSV(value, name)
+            : [[name, value]];
+    });
+}
+
+/**
+ * Settings and stats as key,value rows, a blank line, then one row per tap,
+ * voice by voice
+ */
+function exportSessionCSV(record) {
+    const lines = [];
+
+    lines.push('key,value');
+    lines.push(`savedAt,${csvValue(new Date(record.savedAt).toISOString())}`);
+    flattenForCSV(record.settings, 'settings').forEach(([key, value]) => {
+        lines.push(`${key},${csvValue(value)}`);
+    });
+    flattenForCSV(record.stats, 'stats').forEach(([key, value]) => {
+        lines.push(`${key},${csvValue(value)}`);
+    });
+
+    lines.push('');
+    lines.push('voice,tap,time_ms,interval_ms,offset_ms,target_interval_ms,target_bpm,silent_bar');
+    getExportVoices(record).forEach(({ label, data }) => {
+        data.taps.forEach((time, index) => {
+            lines.push([
+                label,
+                index + 1,
+                time,
+                index > 0 ? time - data.taps[index - 1] : null,
+                data.tapOffsets[index],
+                data.tapTargets[index],
+                data.tapBPMs[index],
+                data.tapMuted[index] ? 1 : 0,
+            ].map(csvValue).join(','));
+        });
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+// ========================================
+// Standard MIDI File
+// ========================================
+
+function midiVarLength(value) {
+    const bytes = [value & 0x7f];
+    value >>= 7;
+    while (value > 0) {
+        bytes.unshift((value & 0x7f) | 0x80);
+        value >>= 7;
+    }
+    return bytes;
+}
+
+function midiChunk(type, data) {
+    const length = data.length;
+    return [
+        ...Array.from(type, c => c.charCodeAt(0)),
+        (length >>> 24) & 0xff, (length >>> 16) & 0xff, (length >>> 8) & 0xff, length & 0xff,
+        ...data,
+    ];
+}
+
+/**
+ * Track chunk from { tick, data } events; sorted and delta-encoded here
+ */
+function midiTrack(name, events) {
+    const nameBytes = Array.from(new TextEncoder().encode(name));
+    const sorted = events.slice().sort((a, b) => a.tick - b.tick);
+    const data = [0x00, 0xff, 0x03, ...midiVarLength(nameBytes.length), ...nameBytes];
+
+    let lastTick = 0;
+    sorted.forEach(event => {
+        data.push(...midiVarLength(event.tick - lastTick), ...event.data);
+        lastTick = event.tick;
+    });
+    data.push(0x00, 0xff, 0x2f, 0x00);
+
+    return midiChunk('MTrk', data);
+}
+
+function midiNote(tick, note, velocity) {
+    const on = 0x90 | MIDI_CONFIG.channel;
+    const off = 0x80 | MIDI_CONFIG.channel;
+    return [
+        { tick, data: [on, note, velocity] },
+        { tick: tick + MIDI_CONFIG.noteTicks, data: [off, note, 0] },
+    ];
+}
+
+/**
+ * Tempo map from the beat timeline: each segment starts at a beat whose
+ * tempo differs from the one before. `msPerQuarter` accounts for x/8 meters.
+ */
+function buildTempoMap(session, settings) {
+    const beatUnit = (METERS[settings.meter] || METERS['4/4']).beatUnit;
+    const beats = session.beats && session.beats.length > 0
+        ? session.beats
+        : [{ timeMs: 0, bpm: settings.bpm }];
+
+    const segments = [];
+    beats.forEach(beat => {
+        const last = segments[segments.length - 1];
+        if (last && Math.abs(last.bpm - beat.bpm) < 1e-6) return;
+        segments.push({
+            ms: segments.length === 0 ? 0 : beat.timeMs,
+            bpm: beat.bpm,
+            msPerQuarter: (60000 / beat.bpm) * (beatUnit / 4),
+        });
+    });
+
+    // Tick position of each segment start
+    segments.forEach((segment, index) => {
+        if (index === 0) {
+            segment.tick = 0;
+            return;
+        }
+        const previous = segments[index - 1];
+        segment.tick = previous.tick + ((segment.ms - previous.ms) / previous.msPerQuarter) * MIDI_CONFIG.ppq;
+    });
+
+    return segments;
+}
+
+function msToTicks(ms, tempoMap) {
+    let segment = tempoMap[0];
+    for (const candidate of tempoMap) {
+        if (candidate.ms > ms) break;
+        segment = candidate;
+    }
+    return Math.max(0, Math.round(segment.tick + ((ms - segment.ms) / segment.msPerQuarter) * MIDI_CONFIG.ppq));
+}
+
+/**
+ * Format 1 SMF: a conductor track (tempo, meter), the metronome grid and
+ * a track of taps per voice on the voice's note, so they line up in a DAW.
+ * Returns a Uint8Array.
+ */
+function exportSessionMIDI(record) {
+    const { session, settings } = record;
+    const meter = METERS[settings.meter] || METERS['4/4'];
+    const tempoMap = buildTempoMap(session, settings);
+
+    const conductor = [{
+        tick: 0,
+        data: [0xff, 0x58, 0x04, meter.beatsPerBar, Math.log2(meter.beatUnit), 24, 8],
+    }];
+    tempoMap.forEach(segment => {
+        const microseconds = Math.round(segment.msPerQuarter * 1000);
+        conductor.push({
+            tick: Math.round(segment.tick),
+            data: [0xff, 0x51, 0x03, (microseconds >> 16) & 0xff, (microseconds >> 8) & 0xff, microseconds & 0xff],
+        });
+    });
+
+    // Silent gap-click beats stay on the grid at minimal velocity
+    const grid = (session.beats || [])
+        .filter(beat => beat.timeMs >= 0)
+        .flatMap(beat => midiNote(
+            msToTicks(beat.timeMs, tempoMap),
+            beat.isDownbeat ? MIDI_CONFIG.accentNote : MIDI_CONFIG.gridNote,
+            beat.muted ? 1 : (beat.isDownbeat ? 110 : 80)
+        ));
+
+    const voiceTracks = getExportVoices(record).map(({ label, note, data }) => midiTrack(
+        label,
+        data.taps.flatMap(time => midiNote(msToTicks(time, tempoMap), note, 100))
+    ));
+
+    const trackCount = 2 + voiceTracks.length;
+    const header = midiChunk('MThd', [
+        0x00, 0x01,
+        (trackCount >> 8) & 0xff, trackCount & 0xff,
+        (MIDI_CONFIG.ppq >> 8) & 0xff, MIDI_CONFIG.ppq & 0xff,
+    ]);
+    return new Uint8Array([
+        ...header,
+        ...midiTrack('Conductor', conductor),
+        ...midiTrack('Metronome', grid),
+        ...voiceTracks.flat(),
+    ]);
+}
+
+// ========================================
+// Download
+// ========================================
+
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Download a session record as 'json', 'csv' or 'midi'
+ */
+function downloadSessionExport(record, format) {
+    const stamp = new Date(record.savedAt).toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    const basename = `bpmclock-${record.settings.bpm}bpm-${stamp}`;
+
+    if (format === 'csv') {
+        downloadFile(`${basename}.csv`, exportSessionCSV(record), 'text/csv');
+    } else if (format === 'midi') {
+        downloadFile(`${basename}.mid`, exportSessionMIDI(record), 'audio/midi');
+    } else {
+        downloadFile(`${basename}.json`, exportSessionJSON(record), 'application/json');
+    }
+}
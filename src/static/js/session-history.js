@@ -0,0 +1,314 @@
+/**
+ * BPM Clock - Session History
+ * IndexedDB persistence and progress charts for finished sessions
+ */
+
+// ========================================
+// Constants and Configuration
+// ========================================
+
+const HISTORY_DB = {
+    name: 'bpmclock',
+    version: 1,
+    store: 'sessions',
+};
+
+const BPM_BANDS = [
+    { id: 'slow', label: '40–79 BPM', min: 40, max: 79 },
+    { id: 'moderate', label: '80–119 BPM', min: 80, max: 119 },
+    { id: 'brisk', label: '120–159 BPM', min: 120, max: 159 },
+    { id: 'fast', label: '160–199 BPM', min: 160, max: 199 },
+    { id: 'very-fast', label: '200–240 BPM', min: 200, max: 240 },
+];
+
+function getBPMBand(bpm) {
+    return BPM_BANDS.find(band => bpm >= band.min && bpm <= band.max) || null;
+}
+
+// ========================================
+// Session Store (IndexedDB)
+// ========================================
+
+/**
+ * Promise wrapper around the IndexedDB sessions store. Each record is
+ * { id, savedAt, settings, session, stats } where `session` is
+ * TapTempoState.serialize() output.
+ */
+class SessionStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(HISTORY_DB.name, HISTORY_DB.version);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(HISTORY_DB.store)) {
+                        const store = db.createObjectStore(HISTORY_DB.store, { keyPath: 'id', autoIncrement: true });
+                        store.createIndex('savedAt', 'savedAt');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async transaction(mode, callback) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(HISTORY_DB.store, mode);
+            const request = callback(tx.objectStore(HISTORY_DB.store));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    save(record) {
+        return this.transaction('readwrite', store => store.add(record));
+    }
+
+    /**
+     * All records, oldest first
+     */
+    getAll() {
+        return this.transaction('readonly', store => store.index('savedAt').getAll());
+    }
+}
+
+// ========================================
+// Progress Chart (Canvas)
+// ========================================
+
+/**
+ * Line chart of one or more series over a session index axis.
+ * Series: { label, color, values } with null for missing points and
+ * `color` a theme colour name.
+ */
+class ProgressChart {
+    constructor(canvas, { min, max, unit = '', zeroLine = false }) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.min = min;
+        this.max = max;
+        this.unit = unit;
+        this.zeroLine = zeroLine;
+        this.padding = { top: 16, right: 16, bottom: 24, left: 44 };
+        this.series = null; // Last drawn, to repaint on a theme change
+
+        window.addEventListener('themechange', () => {
+            if (this.series) this.draw(this.series);
+        });
+    }
+
+    yFor(value) {
+        const { top, bottom } = this.padding;
+        const height = this.canvas.height - top - bottom;
+        const clamped = Math.max(this.min, Math.min(this.max, value));
+        return top + height * (1 - (clamped - this.min) / (this.max - this.min));
+    }
+
+    xFor(index, count) {
+        const { left, right } = this.padding;
+        const width = this.canvas.width - left - right;
+        return count > 1 ? left + (index / (count - 1)) * width : left + width / 2;
+    }
+
+    drawAxes() {
+        const ctx = this.ctx;
+        const { left, right } = this.padding;
+
+        ctx.font = '11px Inter, system-ui, sans-serif';
+        ctx.fillStyle = getThemeColor('charcoal-dim');
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.strokeStyle = getThemeColor('cream-border');
+        ctx.lineWidth = 1;
+
+        [this.min, (this.min + this.max) / 2, this.max].forEach(value => {
+            const y = this.yFor(value);
+            ctx.beginPath();
+            ctx.moveTo(left, y);
+            ctx.lineTo(this.canvas.width - right, y);
+            ctx.stroke();
+            ctx.fillText(`${Math.round(value)}${this.unit}`, left - 6, y);
+        });
+
+        if (this.zeroLine) {
+            ctx.strokeStyle = getThemeColor('charcoal-dim');
+            ctx.beginPath();
+            ctx.moveTo(left, this.yFor(0));
+            ctx.lineTo(this.canvas.width - right, this.yFor(0));
+            ctx.stroke();
+        }
+    }
+
+    draw(series) {
+        this.series = series;
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.drawAxes();
+
+        series.forEach(({ color, values }) => {
+            ctx.strokeStyle = getThemeColor(color);
+            ctx.fillStyle = getThemeColor(color);
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+
+            let penDown = false;
+            values.forEach((value, index) => {
+                if (value === null) {
+                    penDown = false;
+                    return;
+                }
+                const x = this.xFor(index, values.length);
+                const y = this.yFor(value);
+                if (penDown) {
+                    ctx.lineTo(x, y);
+                } else {
+                    ctx.moveTo(x, y);
+                    penDown = true;
+                }
+            });
+            ctx.stroke();
+
+            // Dots make single sessions visible
+            values.forEach((value, index) => {
+                if (value === null) return;
+                ctx.beginPath();
+                ctx.arc(this.xFor(index, values.length), this.yFor(value), 2.5, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        });
+    }
+}
+
+// ========================================
+// History Screen
+// ========================================
+
+/**
+ * `onOpen(record)` shows a session's summary; `onExport(record, format)`
+ * downloads it as 'json', 'csv' or 'midi'.
+ */
+class SessionHistoryView {
+    constructor(store, { onOpen, onExport }) {
+        this.store = store;
+        this.records = [];
+        this.onOpen = onOpen;
+        this.onExport = onExport;
+
+        this.bandSelect = document.getElementById('history-band');
+        this.list = document.getElementById('history-list');
+        this.emptyMessage = document.getElementById('history-empty');
+        this.accuracyChart = new ProgressChart(
+            document.getElementById('history-accuracy-chart'),
+            { min: 0, max: 100 }
+        );
+        this.tendencyChart = new ProgressChart(
+            document.getElementById('history-tendency-chart'),
+            { min: -50, max: 50, unit: 'ms', zeroLine: true }
+        );
+
+        BPM_BANDS.forEach(band => {
+            const option = document.createElement('option');
+            option.value = band.id;
+            option.textContent = band.label;
+            this.bandSelect.appendChild(option);
+        });
+        this.bandSelect.addEventListener('change', () => this.render());
+    }
+
+    async load() {
+        if (!this.store.isAvailable()) {
+            this.records = [];
+        } else {
+            try {
+                this.records = await this.store.getAll();
+            } catch (error) {
+                console.warn('Could not read session history', error);
+                this.records = [];
+            }
+        }
+        this.render();
+    }
+
+    getFilteredRecords() {
+        const bandId = this.bandSelect.value;
+        if (bandId === 'all') return this.records;
+        return this.records.filter(record => {
+            const band = getBPMBand(record.settings.bpm);
+            return band && band.id === bandId;
+        });
+    }
+
+    render() {
+        const records = this.getFilteredRecords();
+        this.emptyMessage.classList.toggle('hidden', records.length > 0);
+
+        this.accuracyChart.draw([
+            { label: 'Accuracy', color: COLORS.NEUTRAL, values: records.map(r => r.stats.accuracy) },
+            { label: 'Consistency', color: COLORS.PERFECT, values: records.map(r => r.stats.consistency) },
+        ]);
+        this.tendencyChart.draw([
+            { label: 'Tendency', color: COLORS.GOOD, values: records.map(r => r.stats.avgError) },
+        ]);
+
+        this.renderList(records);
+    }
+
+    renderList(records) {
+        this.list.innerHTML = '';
+
+        // Newest first in the list, oldest first on the charts
+        records.slice().reverse().forEach(record => {
+            const row = document.createElement('tr');
+            row.className = 'border-t border-cream-border';
+
+            const tendency = Math.abs(record.stats.avgError) < record.stats.meanTarget * 0.02
+                ? 'Balanced'
+                : `${Math.abs(record.stats.avgError).toFixed(0)}ms ${record.stats.avgError < 0 ? 'early' : 'late'}`;
+
+            const end = record.settings.endAfter;
+            [
+                new Date(record.savedAt).toLocaleString(),
+                `${record.settings.bpm} BPM · ${record.settings.meter}`,
+                end ? `${end.count} ${end.unit}` : `${record.settings.duration}s`,
+                `${record.stats.accuracy.toFixed(1)}%`,
+                record.stats.consistency !== null ? record.stats.consistency.toFixed(0) : '—',
+                tendency,
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.className = 'py-2 px-2';
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const actions = document.createElement('td');
+            actions.className = 'py-2 px-2 whitespace-nowrap text-right';
+            [
+                ['View', () => this.onOpen(record)],
+                ['JSON', () => this.onExport(record, 'json')],
+                ['CSV', () => this.onExport(record, 'csv')],
+                ['MIDI', () => this.onExport(record, 'midi')],
+            ].forEach(([label, action]) => {
+                const button = document.createElement('button');
+                button.className = 'text-slate-blue hover:text-slate-blue-dark transition-colors ml-3';
+                button.textContent = label;
+                button.addEventListener('click', action);
+                actions.appendChild(button);
+            });
+            row.appendChild(actions);
+
+            this.list.appendChild(row);
+        });
+    }
+}
@@ -0,0 +1,286 @@
+/**
+ * BPM Clock - Share Links
+ * Links that open the trainer with settings filled in, links that carry
+ * a whole finished session for someone else to look at, and routine links
+ */
+
+// ========================================
+// Constants and Configuration
+// ========================================
+
+const SHARE_LINK = {
+    presetPath: '/train',   // ?bpm=90&duration=60&mode=phase&meter=3/4
+    resultPath: '/result',  // #<share code>
+    routinePath: '/routine', // ?name=Warm-up&ex=90,60,4/4,interval,15&ex=...
+    version: 1,
+};
+
+// Query parameter for each preset setting
+const PRESET_PARAMS = {
+    bpm: 'bpm',
+    duration: 'duration',
+    scoringMode: 'mode',
+    meter: 'meter',
+};
+
+// ========================================
+// Presets
+// ========================================
+
+/**
+ * Link to the trainer with `settings`' tempo, duration, scoring mode and
+ * meter already set. `origin` is the site's, e.g. location.origin.
+ */
+function buildPresetURL(origin, settings) {
+    const params = new URLSearchParams();
+    Object.entries(PRESET_PARAMS).forEach(([key, param]) => {
+        if (settings[key] !== undefined && settings[key] !== null) {
+            params.set(param, settings[key]);
+        }
+    });
+    return `${origin}${SHARE_LINK.presetPath}?${params}`;
+}
+
+/**
+ * The preset settings in a link's query string, as { bpm, duration,
+ * scoringMode, meter } with missing ones left out, or null when it has
+ * none. Numbers must be whole; checking them against the choices on offer
+ * is left to the form. Throws an Error with a readable message.
+ */
+function parsePreset(search) {
+    const params = new URLSearchParams(search);
+    const preset = {};
+
+    Object.entries(PRESET_PARAMS).forEach(([key, param]) => {
+        if (!params.has(param)) return;
+        const value = params.get(param);
+
+        if (key === 'bpm' || key === 'duration') {
+            if (!/^\d+$/.test(value)) {
+                throw new Error(`${param} should be a whole number, not "${value}"`);
+            }
+            preset[key] = parseInt(value, 10);
+        } else {
+            preset[key] = value;
+        }
+    });
+
+    return Object.keys(preset).length > 0 ? preset : null;
+}
+
+// ========================================
+// Routines
+// ========================================
+
+// Order of an exercise's values in a routine link's `ex` parameters
+const ROUTINE_LINK_FIELDS = ['bpm', 'duration', 'meter', 'scoringMode', 'rest'];
+const ROUTINE_LINK_NUMBERS = ['bpm', 'duration', 'rest'];
+
+/**
+ * Link that opens `routine` ({ name, exercises }) in the routine editor,
+ * one readable `ex` parameter per exercise
+ */
+function buildRoutineURL(origin, routine) {
+    const params = new URLSearchParams({ name: routine.name });
+    routine.exercises.forEach(exercise => {
+        params.append('ex', ROUTINE_LINK_FIELDS.map(field => exercise[field]).join(','));
+    });
+    return `${origin}${SHARE_LINK.routinePath}?${params}`;
+}
+
+/**
+ * The routine in a routine link's query string as { name, exercises },
+ * unchecked: normalizeRoutine() decides whether it can be played
+ */
+function parseRoutineLink(search) {
+    const params = new URLSearchParams(search);
+    return {
+        name: params.get('name') || '',
+        exercises: params.getAll('ex').map(text => {
+            const values = text.split(',');
+            const exercise = {};
+            ROUTINE_LINK_FIELDS.forEach((field, index) => {
+                const value = values[index] === undefined ? '' : values[index].trim();
+                exercise[field] = ROUTINE_LINK_NUMBERS.includes(field) ? Number(value) : value;
+            });
+            return exercise;
+        }),
+    };
+}
+
+// ========================================
+// Packing Sessions
+// ========================================
+
+// Times go into links as whole tenths of a millisecond
+const toTenths = (value) => (value === null ? null : Math.round(value * 10));
+const fromTenths = (value) => (value === null ? null : value / 10);
+
+function packVoice(voice) {
+    let previous = 0;
+    return {
+        t: voice.taps.map(tap => {
+            const tenths = toTenths(tap);
+            const delta = tenths - previous;
+            previous = tenths;
+            return delta;
+        }),
+        o: voice.tapOffsets.map(toTenths),
+        m: voice.tapMuted.map(muted => (muted ? 1 : 0)),
+        g: voice.tapTargets.map(toTenths),
+        b: voice.tapBPMs.map(bpm => Math.round(bpm * 100) / 100),
+        // Sessions saved before beat alignment have no beat indexes
+        i: voice.tapBeats ? voice.tapBeats.slice() : voice.taps.map(() => null),
+    };
+}
+
+function unpackVoice(packed) {
+    let time = 0;
+    return {
+        taps: packed.t.map(delta => {
+            time += delta;
+            return fromTenths(time);
+        }),
+        tapOffsets: packed.o.map(fromTenths),
+        tapMuted: packed.m.map(muted => muted === 1),
+        tapTargets: packed.g.map(fromTenths),
+        tapBPMs: packed.b.slice(),
+        tapBeats: packed.i.slice(),
+    };
+}
+
+/**
+ * TapTempoState.serialize() output cut down for a link: times rounded to a
+ * tenth of a millisecond, taps stored as the gaps between them and the
+ * metronome's beat timeline left out
+ */
+function packSession(session) {
+    return {
+        bpm: session.targetBPM,
+        duration: session.sessionDuration,
+        mode: session.scoringMode,
+        beatsPerBar: session.beatsPerBar,
+        expected: session.expectedTotalTaps,
+        first: session.firstBeat,
+        voices: [session, ...(session.voices || [])].map(packVoice),
+    };
+}
+
+/**
+ * packSession() output back into something TapTempoState.restore() reads
+ */
+function unpackSession(packed) {
+    const [first, ...others] = packed.voices.map(unpackVoice);
+    const session = {
+        targetBPM: packed.bpm,
+        sessionDuration: packed.duration,
+        scoringMode: packed.mode,
+        beatsPerBar: packed.beatsPerBar,
+        expectedTotalTaps: packed.expected,
+        firstBeat: packed.first !== undefined ? packed.first : null,
+        ...first,
+        beats: [],
+    };
+    if (others.length > 0) session.voices = others;
+    return session;
+}
+
+// ========================================
+// Share Codes
+// ========================================
+
+function bytesToBase64URL(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64URLToBytes(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+async function pipeBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * A session record ({ savedAt, settings, session }) as a compact code for
+ * the end of a result link: packed, deflated and base64url-encoded
+ */
+async function encodeShareCode(record) {
+    const json = JSON.stringify({
+        v: SHARE_LINK.version,
+        savedAt: record.savedAt,
+        settings: record.settings,
+        session: packSession(record.session),
+    });
+    const deflated = await pipeBytes(new TextEncoder().encode(json), new CompressionStream('deflate'));
+    return bytesToBase64URL(deflated);
+}
+
+/**
+ * encodeShareCode() output back into a session record. It has no stats;
+ * they're worked out again from the taps. Throws an Error with a readable
+ * message if the code is damaged or from a newer version.
+ */
+async function decodeShareCode(code) {
+    let data;
+    try {
+        const inflated = await pipeBytes(base64URLToBytes(code), new DecompressionStream('deflate'));
+        data = JSON.parse(new TextDecoder().decode(inflated));
+    } catch (error) {
+        throw new Error('link is incomplete or damaged');
+    }
+
+    if (!data || typeof data.v !== 'number' || !data.session || !data.settings) {
+        throw new Error('link is not a BPM Clock result');
+    }
+    if (data.v > SHARE_LINK.version) {
+        throw new Error('link was made by a newer version of BPM Clock');
+    }
+
+    // A code can decode and parse and still be cut short
+    let session;
+    try {
+        session = unpackSession(data.session);
+        [session, ...(session.voices || [])].forEach(voice => {
+            const fields = [voice.tapOffsets, voice.tapMuted, voice.tapTargets, voice.tapBPMs, voice.tapBeats];
+            if (fields.some(field => field.length !== voice.taps.length)) {
+                throw new Error('tap data does not match');
+            }
+        });
+    } catch (error) {
+        throw new Error('link is incomplete or damaged');
+    }
+
+    return {
+        savedAt: data.savedAt,
+        settings: data.settings,
+        session,
+        stats: null,
+    };
+}
+
+/**
+ * Link showing `record` read-only
+ */
+async function buildResultURL(origin, record) {
+    return `${origin}${SHARE_LINK.resultPath}#${await encodeShareCode(record)}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SHARE_LINK,
+        buildPresetURL,
+        parsePreset,
+        packSession,
+        unpackSession,
+        encodeShareCode,
+        decodeShareCode,
+        buildResultURL,
+        buildRoutineURL,
+        parseRoutineLink,
+    };
+}
@@ -7,29 +7,179 @@
 // Constants and Configuration
 // ========================================
 
-const PID_CONFIG = {
-    Kp: 1.0,    // Proportional gain - immediate error response
-    Ki: 0.3,    // Integral gain - accumulated error (rushing/dragging)
-    Kd: 0.5,    // Derivative gain - rate of change (accelerating/decelerating)
+// Tempo always counts the meter's beat unit, so 7/8 at 120 BPM is 120 eighth notes a minute
+const METERS = {
+    '3/4': { beatsPerBar: 3, beatUnit: 4 },
+    '4/4': { beatsPerBar: 4, beatUnit: 4 },
+    '5/8': { beatsPerBar: 5, beatUnit: 8 },
+    '6/8': { beatsPerBar: 6, beatUnit: 8 },
+    '7/8': { beatsPerBar: 7, beatUnit: 8 },
 };
 
-const THRESHOLDS = {
-    PERFECT: 0.02,      // Within 2% is perfect
-    GOOD: 0.05,         // Within 5% is good
-    ACCEPTABLE: 0.10,   // Within 10% is acceptable
+const SUBDIVISIONS = {
+    NONE: 1,
+    EIGHTHS: 2,
+    TRIPLETS: 3,
+    SIXTEENTHS: 4,
 };
 
+// Click voices per sound set: accent (downbeat), beat, subdivision
+const CLICK_SOUNDS = {
+    classic: {
+        accent: { type: 'sine', frequency: 1500, gain: 0.4, decay: 0.03 },
+        beat: { type: 'sine', frequency: 1000, gain: 0.3, decay: 0.03 },
+        subdivision: { type: 'sine', frequency: 800, gain: 0.12, decay: 0.02 },
+    },
+    woodblock: {
+        accent: { type: 'triangle', frequency: 1200, gain: 0.6, decay: 0.05 },
+        beat: { type: 'triangle', frequency: 850, gain: 0.45, decay: 0.05 },
+        subdivision: { type: 'triangle', frequency: 650, gain: 0.2, decay: 0.03 },
+    },
+    hihat: {
+        accent: { type: 'noise', frequency: 5000, gain: 0.5, decay: 0.06 },
+        beat: { type: 'noise', frequency: 7000, gain: 0.35, decay: 0.04 },
+        subdivision: { type: 'noise', frequency: 9000, gain: 0.15, decay: 0.02 },
+    },
+};
+
+// What ends a session: its duration in seconds, or a count of bars or taps
+const SESSION_END = {
+    SECONDS: 'seconds',
+    BARS: 'bars',
+    TAPS: 'taps',
+};
+
+const GAP_MODES = {
+    OFF: 'off',
+    FIXED: 'fixed',         // Always mute for muteBars
+    RANDOM: 'random',       // Mute for 1 to muteBars, picked each cycle
+    GROWING: 'growing',     // Mute for 1 bar, then one more each cycle up to muteBars
+};
+
+// Independence mode: each voice's starting name, key (KeyboardEvent.code),
+// General MIDI drum note and rhythm (a RHYTHM_PATTERNS id, '' for every beat)
+const VOICE_DEFAULTS = [
+    { label: 'Hi-hat', key: 'KeyF', note: 42, pattern: '' },
+    { label: 'Kick', key: 'KeyJ', note: 36, pattern: 'tresillo' },
+    { label: 'Snare', key: 'KeyD', note: 38, pattern: '' },
+    { label: 'Ride', key: 'KeyK', note: 51, pattern: '' },
+];
+
+// Tap battle: each player's starting name and key (KeyboardEvent.code),
+// spread across the keyboard so players can sit side by side
+const PLAYER_DEFAULTS = [
+    { name: 'Player 1', key: 'KeyA' },
+    { name: 'Player 2', key: 'KeyL' },
+    { name: 'Player 3', key: 'KeyC' },
+    { name: 'Player 4', key: 'KeyM' },
+];
+
+// Theme colour names (see theme.js), resolved per theme where drawn
 const COLORS = {
-    PERFECT: '#4a7c59',     // success-green
-    GOOD: '#c4914e',        // warning-amber
-    OFF: '#a85858',         // error-red
-    NEUTRAL: '#5b7c99',     // slate-blue
+    PERFECT: 'success-green',
+    GOOD: 'warning-amber',
+    OFF: 'error-red',
+    NEUTRAL: 'slate-blue',
 };
 
 // ========================================
 // State Management
 // ========================================
 
+/**
+ * One stream of taps: a key, MIDI note or touch zone and the rhythm it
+ * plays. Sessions have a single voice unless independence mode adds more.
+ */
+class TapVoice {
+    constructor({ label = null, pattern = null } = {}) {
+        this.label = label;
+        this.pattern = pattern; // parsePattern() result, null for a tap on every beat
+
+        this.taps = [];
+        this.tapIntervals = [];
+        this.tapOffsets = []; // Signed ms from the nearest beat, null if no beat yet
+        this.tapMuted = [];   // Whether each tap fell in a gap-click silent bar
+        this.tapTargets = []; // Target interval (ms) in effect at each tap
+        this.tapBPMs = [];    // Target tempo in effect at each tap
+        this.tapBeats = [];   // Index of the nearest beat, null if no beat yet
+
+        // analyzeSession() result for the current taps, rebuilt on demand
+        this.analysis = null;
+    }
+
+    /**
+     * `beat` is the beat or pattern note nearest the tap. Without one the
+     * tap is timed against `state`'s target tempo.
+     */
+    addTap(timestamp, beat, state) {
+        this.taps.push(timestamp);
+        this.tapOffsets.push(beat ? timestamp - beat.timeMs : null);
+        this.tapMuted.push(beat ? beat.muted : false);
+        this.tapTargets.push(beat ? beat.interval : state.targetInterval);
+        this.tapBPMs.push(beat ? beat.bpm : state.targetBPM);
+        this.tapBeats.push(beat ? beat.index : null);
+
+        if (this.taps.length >= 2) {
+            const interval = timestamp - this.taps[this.taps.length - 2];
+            this.tapIntervals.push(interval);
+        }
+        this.analysis = null;
+    }
+
+    getLastInterval() {
+        return this.tapIntervals.length > 0
+            ? this.tapIntervals[this.tapIntervals.length - 1]
+            : null;
+    }
+
+    analyze(state) {
+        if (!this.analysis) {
+            this.analysis = analyzeSession({
+                taps: this.taps,
+                bpm: state.targetBPM,
+                scoringMode: state.scoringMode,
+                beatsPerBar: state.beatsPerBar,
+                targets: this.tapTargets,
+                tapBPMs: this.tapBPMs,
+                offsets: this.tapOffsets,
+                muted: this.tapMuted,
+                beatIndexes: this.tapBeats,
+                firstBeat: state.firstBeat,
+                thresholds: state.thresholds,
+                pid: state.pid,
+            });
+        }
+        return this.analysis;
+    }
+
+    /**
+     * Tap data with times relative to `start`. Labels and patterns live in
+     * the session's settings.
+     */
+    serialize(start) {
+        return {
+            taps: this.taps.map(tap => tap - start),
+            tapOffsets: this.tapOffsets.slice(),
+            tapMuted: this.tapMuted.slice(),
+            tapTargets: this.tapTargets.slice(),
+            tapBPMs: this.tapBPMs.slice(),
+            tapBeats: this.tapBeats.slice(),
+        };
+    }
+
+    restore(data) {
+        this.taps = data.taps.slice();
+        this.tapOffsets = data.tapOffsets.slice();
+        this.tapMuted = data.tapMuted.slice();
+        this.tapTargets = data.tapTargets.slice();
+        this.tapBPMs = data.tapBPMs.slice();
+        // Sessions saved before beat alignment fall back to rounding intervals
+        this.tapBeats = data.tapBeats ? data.tapBeats.slice() : data.taps.map(() => null);
+        this.tapIntervals = this.taps.slice(1).map((tap, i) => tap - this.taps[i]);
+        this.analysis = null;
+    }
+}
+
 class TapTempoState {
     constructor() {
         this.reset();
@@ -39,126 +189,242 @@ class TapTempoState {
         this.targetBPM = 120;
         this.targetInterval = 500; // milliseconds
         this.sessionDuration = 60; // seconds
+        this.scoringMode = SCORING_MODES.INTERVAL;
+        this.beatsPerBar = 4;
+        this.expectedTotalTaps = null; // Set when the tempo changes during the session
 
         this.isRunning = false;
-        this.hasStarted = false; // Track if first tap has been made
+        this.hasStarted = false; // Track if first tap has been made, or the count-in is over
         this.startTime = null;
+        this.firstBeat = null;   // Beat index the session starts on after a count-in; null when the first tap starts it
         this.elapsedTime = 0;
 
-        this.taps = [];
-        this.tapIntervals = [];
+        this.voices = [new TapVoice()];
+
+        // Scoring profile (difficulty bands and PID tuning)
+        this.thresholds = THRESHOLDS;
+        this.pid = PID_CONFIG;
+    }
 
-        // PID controller state
-        this.errorIntegral = 0;
-        this.previousError = 0;
+    /**
+     * Label and pattern for each voice, as [{ label, pattern }], adding
+     * voices as needed. Taps already recorded are kept.
+     */
+    setVoices(configs) {
+        configs.forEach((config, index) => {
+            const voice = this.voices[index] || (this.voices[index] = new TapVoice());
+            voice.label = config.label;
+            voice.pattern = config.pattern;
+        });
+        this.invalidate();
+    }
 
-        // Statistics
-        this.accuracyHistory = [];
-        this.runningAccuracy = 0;
+    invalidate() {
+        this.voices.forEach(voice => { voice.analysis = null; });
     }
 
     setTargetBPM(bpm) {
         this.targetBPM = bpm;
         this.targetInterval = (60 / bpm) * 1000;
+        this.invalidate();
     }
 
-    addTap(timestamp) {
-        this.taps.push(timestamp);
-
-        if (this.taps.length >= 2) {
-            const interval = timestamp - this.taps[this.taps.length - 2];
-            this.tapIntervals.push(interval);
-        }
+    /**
+     * `scoring` is ScoringProfile.get() output; missing means the defaults
+     */
+    setScoringProfile(scoring) {
+        this.thresholds = scoring ? scoring.thresholds : THRESHOLDS;
+        this.pid = scoring ? scoring.pid : PID_CONFIG;
+        this.invalidate();
     }
 
-    getLastInterval() {
-        return this.tapIntervals.length > 0
-            ? this.tapIntervals[this.tapIntervals.length - 1]
-            : null;
+    addTap(timestamp, beat = null, voice = 0) {
+        this.voices[voice].addTap(timestamp, beat, this);
     }
 
-    calculatePID() {
-        if (this.tapIntervals.length === 0) {
-            return { p: 0, i: 0, d: 0, total: 0 };
-        }
+    getTapCount() {
+        return this.voices.reduce((count, voice) => count + voice.taps.length, 0);
+    }
 
-        const lastInterval = this.getLastInterval();
-        const error = lastInterval - this.targetInterval;
+    getExpectedTotalTaps() {
+        return this.expectedTotalTaps || (this.targetBPM / 60) * this.sessionDuration;
+    }
 
-        // P: Proportional - current error
-        const p = error * PID_CONFIG.Kp;
+    /**
+     * Per-tap results, summary and live status for one voice's taps so far.
+     * Derived from the taps alone, so it's the same however often it's read.
+     */
+    analyze(voice = 0) {
+        return this.voices[voice].analyze(this);
+    }
 
-        // I: Integral - accumulated error over time
-        this.errorIntegral += error;
-        const i = this.errorIntegral * PID_CONFIG.Ki;
+    /**
+     * Analysis of the voice's latest tap, or null before its first
+     */
+    getLastTapResult(voice = 0) {
+        const taps = this.analyze(voice).taps;
+        return taps.length > 0 ? taps[taps.length - 1] : null;
+    }
 
-        // D: Derivative - rate of change of error
-        const d = (error - this.previousError) * PID_CONFIG.Kd;
-        this.previousError = error;
+    /**
+     * compareVoices() for every pair of voices, as [{ a, b, ...comparison }]
+     * with `a` and `b` voice indexes. Pairs that never play together are left out.
+     */
+    compareVoices() {
+        const pairs = [];
+        for (let a = 0; a < this.voices.length; a++) {
+            for (let b = a + 1; b < this.voices.length; b++) {
+                const comparison = compareVoices(this.analyze(a).taps, this.analyze(b).taps);
+                if (comparison) pairs.push({ a, b, ...comparison });
+            }
+        }
+        return pairs;
+    }
 
-        const total = p + i + d;
+    /**
+     * Plain-data copy of the session's taps and the metronome's beat
+     * timeline, with times relative to the start (the first tap, or the one
+     * after a count-in), for storage and export. Count-in beats are left
+     * out. The first voice's taps sit at the top level; any others are in
+     * `voices`.
+     */
+    serialize(beats = []) {
+        const start = this.startTime || 0;
+        const data = {
+            targetBPM: this.targetBPM,
+            sessionDuration: this.sessionDuration,
+            scoringMode: this.scoringMode,
+            beatsPerBar: this.beatsPerBar,
+            expectedTotalTaps: this.expectedTotalTaps,
+            firstBeat: this.firstBeat,
+            ...this.voices[0].serialize(start),
+            beats: beats.filter(beat => !beat.countIn).map(beat => ({
+                index: beat.index,
+                bar: beat.bar,
+                beatInBar: beat.beatInBar,
+                isDownbeat: beat.isDownbeat,
+                muted: beat.muted,
+                timeMs: beat.timeMs - start,
+                interval: beat.interval,
+                bpm: beat.bpm,
+            })),
+        };
+        if (this.voices.length > 1) {
+            data.voices = this.voices.slice(1).map(voice => voice.serialize(start));
+        }
+        return data;
+    }
 
-        return { p, i, d, total };
+    /**
+     * Rebuild a finished session from serialize() output
+     */
+    restore(data) {
+        this.reset();
+        this.setTargetBPM(data.targetBPM);
+        this.sessionDuration = data.sessionDuration;
+        this.scoringMode = data.scoringMode;
+        this.beatsPerBar = data.beatsPerBar;
+        this.expectedTotalTaps = data.expectedTotalTaps;
+        this.firstBeat = data.firstBeat !== undefined ? data.firstBeat : null;
+
+        this.startTime = 0;
+        this.voices = [data, ...(data.voices || [])].map(voiceData => {
+            const voice = new TapVoice();
+            voice.restore(voiceData);
+            return voice;
+        });
+        this.hasStarted = this.getTapCount() > 0;
     }
+}
 
-    calculateAccuracy() {
-        if (this.tapIntervals.length === 0) return null;
+// ========================================
+// Tempo Ramp
+// ========================================
 
-        const lastInterval = this.getLastInterval();
-        const error = Math.abs(lastInterval - this.targetInterval);
-        const errorPercent = error / this.targetInterval;
-        const accuracy = Math.max(0, 1 - errorPercent) * 100;
+const RAMP_UNITS = {
+    BARS: 'bars',
+    SECONDS: 'seconds',
+};
 
-        this.accuracyHistory.push(accuracy);
+/**
+ * Speed trainer program: start at `startBPM` and add `stepBPM` every `every`
+ * bars or seconds up to `maxBPM`. With `perfectStreak` > 0 a due step waits
+ * until the player has landed that many perfect taps in a row.
+ */
+class TempoRamp {
+    constructor({ startBPM, stepBPM, every, unit, maxBPM, perfectStreak }) {
+        this.startBPM = startBPM;
+        this.stepBPM = stepBPM;
+        this.every = every;
+        this.unit = unit;
+        this.maxBPM = Math.max(startBPM, maxBPM);
+        this.perfectStreak = perfectStreak;
+        this.reset();
+    }
 
-        // Running average
-        if (this.accuracyHistory.length > 0) {
-            const sum = this.accuracyHistory.reduce((a, b) => a + b, 0);
-            this.runningAccuracy = sum / this.accuracyHistory.length;
-        }
+    reset() {
+        this.bpm = this.startBPM;
+        this.streak = 0;
+        this.startTime = null;  // AudioContext time of the first beat
+        this.nextStepAt = null; // Bar index or seconds from the first beat
+    }
 
-        return accuracy;
+    recordTap(isPerfect) {
+        this.streak = isPerfect ? this.streak + 1 : 0;
     }
 
-    getTempoStatus() {
-        if (this.tapIntervals.length < 3) {
-            return { status: 'warming-up', text: 'Keep tapping...' };
+    isStepDue(beat) {
+        if (this.unit === RAMP_UNITS.BARS) {
+            // Bar-based steps only land on a downbeat
+            return beat.isDownbeat && beat.bar >= this.nextStepAt;
         }
+        return beat.time - this.startTime >= this.nextStepAt;
+    }
 
-        const pid = this.calculatePID();
-        const lastInterval = this.getLastInterval();
-        const error = lastInterval - this.targetInterval;
-        const errorPercent = Math.abs(error) / this.targetInterval;
-
-        // Check if on time
-        if (errorPercent < THRESHOLDS.PERFECT) {
-            return { status: 'on-time', text: 'Perfect timing!', class: 'on-time' };
+    /**
+     * Called for every beat as it is booked. Returns the tempo to use from
+     * this beat on, or null to keep the current one.
+     */
+    onBeat(beat) {
+        if (this.startTime === null) {
+            this.startTime = beat.time;
+            this.nextStepAt = this.every;
         }
 
-        // Check rushing vs dragging (integral term)
-        if (Math.abs(pid.i) > this.targetInterval * 0.1) {
-            if (pid.i < 0) {
-                return { status: 'rushing', text: 'Rushing overall', class: 'rushing' };
-            } else {
-                return { status: 'dragging', text: 'Dragging overall', class: 'dragging' };
-            }
-        }
+        if (this.bpm >= this.maxBPM || !this.isStepDue(beat)) return null;
+        if (this.perfectStreak > 0 && this.streak < this.perfectStreak) return null;
 
-        // Check acceleration/deceleration (derivative term)
-        if (Math.abs(pid.d) > this.targetInterval * 0.05) {
-            if (pid.d < 0) {
-                return { status: 'accelerating', text: 'Accelerating', class: 'accelerating' };
-            } else {
-                return { status: 'decelerating', text: 'Decelerating', class: 'decelerating' };
+        this.bpm = Math.min(this.maxBPM, this.bpm + this.stepBPM);
+        this.streak = 0;
+        this.nextStepAt = this.unit === RAMP_UNITS.BARS
+            ? beat.bar + this.every
+            : beat.time - this.startTime + this.every;
+        return this.bpm;
+    }
+
+    /**
+     * Beats in a session of `duration` seconds if every step lands on
+     * schedule, used to lay the session out around the ring
+     */
+    estimateBeats(duration, beatsPerBar) {
+        let bpm = this.startBPM;
+        let elapsed = 0;
+        let beats = 0;
+        let nextStepAt = this.every;
+
+        while (elapsed < duration) {
+            const due = this.unit === RAMP_UNITS.BARS
+                ? beats % beatsPerBar === 0 && beats / beatsPerBar >= nextStepAt
+                : elapsed >= nextStepAt;
+            if (due && bpm < this.maxBPM) {
+                bpm = Math.min(this.maxBPM, bpm + this.stepBPM);
+                nextStepAt += this.every;
             }
+            elapsed += 60 / bpm;
+            beats++;
         }
 
-        // Default: slight error
-        if (error < 0) {
-            return { status: 'rushing', text: 'Slightly early', class: 'rushing' };
-        } else {
-            return { status: 'dragging', text: 'Slightly late', class: 'dragging' };
-        }
+        return beats;
     }
 }
 
@@ -166,13 +432,38 @@ class TapTempoState {
 // Audio Metronome
 // ========================================
 
+const SCHEDULER_CONFIG = {
+    lookahead: 25,          // How often the scheduler wakes up (ms)
+    scheduleAheadTime: 0.1, // How far ahead clicks are booked (s)
+    startDelay: 0.05,       // Gap before the first click so it is never booked in the past (s)
+};
+
 class AudioMetronome {
     constructor() {
         this.audioContext = null;
-        this.intervalId = null;
+        this.schedulerId = null;
         this.isRunning = false;
+        this.starting = null;   // Pending start() while the context resumes
         this.bpm = 120;
+        this.beatsPerBar = 4;
+        this.subdivision = SUBDIVISIONS.NONE;
+        this.soundSet = 'classic';
+        this.gapClick = { mode: GAP_MODES.OFF, playBars: 2, muteBars: 2 };
+        this.countInBars = 0;
         this.visualCallback = null;
+        this.tempoController = null;
+        this.clickListener = null;
+        this.beatListener = null;
+        this.noiseBuffer = null;
+
+        // Beat timeline
+        this.nextBeatTime = 0;   // AudioContext time of the next beat to book
+        this.lastInterval = null; // Seconds between the last booked beat and the next
+        this.beatIndex = 0;
+        this.beats = [];         // Every booked beat: { index, bar, beatInBar, isDownbeat, countIn, muted, time (s), timeMs (performance.now() ms), interval (ms since the previous beat), bpm }
+        this.visualQueue = [];   // Booked beats waiting for their visual callback
+        this.gapCycle = null;    // { muted, barsLeft, cycle } for the gap-click bar plan
+        this.animationFrameId = null;
     }
 
     init() {
@@ -183,74 +474,342 @@ class AudioMetronome {
     }
 
     setBPM(bpm) {
+        // The next booked beat keeps its time; the new tempo applies from there
         this.bpm = bpm;
-        if (this.isRunning) {
-            this.stop();
-            this.start();
-        }
+    }
+
+    setMeter(beatsPerBar) {
+        this.beatsPerBar = beatsPerBar;
+    }
+
+    setSubdivision(subdivision) {
+        this.subdivision = subdivision;
+    }
+
+    setSoundSet(name) {
+        this.soundSet = CLICK_SOUNDS[name] ? name : 'classic';
+    }
+
+    /**
+     * Play `bars` bars before the session's first beat. The session starts
+     * on the one: beat index 0 is always its first beat, and count-in beats
+     * have negative indexes and `countIn` set. Gaps and tempo changes wait
+     * for the one.
+     */
+    setCountIn(bars) {
+        this.countInBars = bars;
+    }
+
+    /**
+     * Play `playBars` bars, then go silent for a gap sized by `mode` (see
+     * GAP_MODES), and repeat. The beat timeline keeps running through gaps.
+     */
+    setGapClick({ mode, playBars, muteBars }) {
+        this.gapClick = { mode, playBars, muteBars };
     }
 
     setVisualCallback(callback) {
         this.visualCallback = callback;
     }
 
-    async playClick() {
-        if (!this.audioContext) return;
+    /**
+     * `controller(beat)` runs as each beat is booked and may return a new
+     * tempo, which takes effect from that beat on. Pass null to remove it.
+     */
+    setTempoController(controller) {
+        this.tempoController = controller;
+    }
 
-        // Resume AudioContext if suspended (required for mobile browsers)
-        if (this.audioContext.state === 'suspended') {
-            await this.audioContext.resume();
-        }
+    /**
+     * `listener(time, sound)` hears about every click (and cue tone) as it
+     * is booked, with its AudioContext time and CLICK_SOUNDS-shaped voice, so
+     * inputs can tell it from a hit
+     */
+    setClickListener(listener) {
+        this.clickListener = listener;
+    }
 
-        const now = this.audioContext.currentTime;
+    /**
+     * `listener(beat)` hears about every beat as it is booked, count-in and
+     * silent ones included, ahead of the time it sounds
+     */
+    setBeatListener(listener) {
+        this.beatListener = listener;
+    }
+
+    getBeatInterval() {
+        return 60 / this.bpm;
+    }
+
+    /**
+     * Convert an AudioContext time (s) to the performance.now() clock (ms),
+     * the same clock taps are stamped with.
+     */
+    audioTimeToMs(audioTime) {
+        const ctx = this.audioContext;
+        if (ctx.getOutputTimestamp) {
+            const stamp = ctx.getOutputTimestamp();
+            if (stamp.performanceTime) {
+                return stamp.performanceTime + (audioTime - stamp.contextTime) * 1000;
+            }
+        }
+        return performance.now() + (audioTime - ctx.currentTime) * 1000;
+    }
 
-        // Create oscillator for click sound
-        const oscillator = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
+    getNoiseBuffer() {
+        if (!this.noiseBuffer) {
+            // 100ms of white noise is plenty for the longest hi-hat decay
+            const ctx = this.audioContext;
+            this.noiseBuffer = ctx.createBuffer(1, Math.ceil(ctx.sampleRate * 0.1), ctx.sampleRate);
+            const data = this.noiseBuffer.getChannelData(0);
+            for (let i = 0; i < data.length; i++) {
+                data[i] = Math.random() * 2 - 1;
+            }
+        }
+        return this.noiseBuffer;
+    }
 
-        oscillator.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
+    /**
+     * Book a click at `time`. `level` is 'accent', 'beat' or 'subdivision'.
+     */
+    playClick(time, level = 'beat') {
+        this.playSound(time, CLICK_SOUNDS[this.soundSet][level]);
+    }
 
-        // High frequency click
-        oscillator.frequency.value = 1000;
-        oscillator.type = 'sine';
+    /**
+     * Book a short sound at `time`, shaped like a CLICK_SOUNDS voice. Every
+     * sound goes past the click listener, so inputs can tell it from a hit.
+     */
+    playSound(time, voice) {
+        const ctx = this.audioContext;
+        const gainNode = ctx.createGain();
+        gainNode.connect(ctx.destination);
+
+        let source;
+        if (voice.type === 'noise') {
+            // Filtered noise burst for hi-hat style clicks
+            source = ctx.createBufferSource();
+            source.buffer = this.getNoiseBuffer();
+            const filter = ctx.createBiquadFilter();
+            filter.type = 'highpass';
+            filter.frequency.value = voice.frequency;
+            source.connect(filter);
+            filter.connect(gainNode);
+        } else {
+            source = ctx.createOscillator();
+            source.frequency.value = voice.frequency;
+            source.type = voice.type;
+            source.connect(gainNode);
+        }
 
         // Short envelope for crisp click
-        gainNode.gain.setValueAtTime(0.3, now);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, now + 0.03);
+        gainNode.gain.setValueAtTime(voice.gain, time);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, time + voice.decay);
+
+        source.start(time);
+        source.stop(time + voice.decay);
+
+        if (this.clickListener) {
+            this.clickListener(time, voice);
+        }
+    }
+
+    getGapLength(cycle) {
+        const { mode, muteBars } = this.gapClick;
+        if (mode === GAP_MODES.RANDOM) {
+            return 1 + Math.floor(Math.random() * muteBars);
+        }
+        if (mode === GAP_MODES.GROWING) {
+            return Math.min(muteBars, cycle + 1);
+        }
+        return muteBars;
+    }
+
+    /**
+     * Advance the gap-click bar plan at a downbeat and report whether the
+     * new bar is silent.
+     */
+    isNextBarMuted() {
+        if (this.gapClick.mode === GAP_MODES.OFF) return false;
+
+        if (!this.gapCycle) {
+            this.gapCycle = { muted: false, barsLeft: this.gapClick.playBars, cycle: 0 };
+        } else if (this.gapCycle.barsLeft === 0) {
+            if (this.gapCycle.muted) {
+                this.gapCycle = { muted: false, barsLeft: this.gapClick.playBars, cycle: this.gapCycle.cycle + 1 };
+            } else {
+                this.gapCycle = { muted: true, barsLeft: this.getGapLength(this.gapCycle.cycle), cycle: this.gapCycle.cycle };
+            }
+        }
+
+        this.gapCycle.barsLeft--;
+        return this.gapCycle.muted;
+    }
+
+    /**
+     * Bar and place in the bar of beat `index`, counting back into the
+     * count-in for negative ones
+     */
+    getBeatPosition(index) {
+        const beatInBar = ((index % this.beatsPerBar) + this.beatsPerBar) % this.beatsPerBar;
+        return {
+            bar: Math.floor(index / this.beatsPerBar),
+            beatInBar,
+            isDownbeat: beatInBar === 0,
+            countIn: index < 0,
+        };
+    }
+
+    scheduleBeat(time) {
+        const position = this.getBeatPosition(this.beatIndex);
+        const previous = this.beats[this.beats.length - 1];
+        const muted = !position.countIn && (position.isDownbeat
+            ? this.isNextBarMuted()
+            : Boolean(previous && previous.muted));
+
+        const intervalIn = this.lastInterval || this.getBeatInterval();
+
+        const beat = {
+            index: this.beatIndex,
+            ...position,
+            muted,
+            time,
+            timeMs: this.audioTimeToMs(time),
+            interval: intervalIn * 1000,
+            bpm: 60 / intervalIn,
+        };
+
+        // A tempo change lands on this beat: it was reached at the old tempo
+        // and everything after it, subdivisions included, uses the new one
+        if (this.tempoController && !beat.countIn) {
+            const bpm = this.tempoController(beat);
+            if (bpm) this.bpm = bpm;
+        }
+
+        this.beats.push(beat);
+        this.visualQueue.push(beat);
+        if (this.beatListener) {
+            this.beatListener(beat);
+        }
+        if (muted) return;
+
+        this.playClick(time, beat.isDownbeat ? 'accent' : 'beat');
+
+        // Subdivision clicks are booked with their beat, at the tempo running to the next beat
+        const step = this.getBeatInterval() / this.subdivision;
+        for (let i = 1; i < this.subdivision; i++) {
+            this.playClick(time + step * i, 'subdivision');
+        }
+    }
+
+    scheduler() {
+        // Book every beat that falls inside the lookahead window
+        const horizon = this.audioContext.currentTime + SCHEDULER_CONFIG.scheduleAheadTime;
+        while (this.nextBeatTime < horizon) {
+            this.scheduleBeat(this.nextBeatTime);
+            this.lastInterval = this.getBeatInterval();
+            this.nextBeatTime += this.lastInterval;
+            this.beatIndex++;
+        }
+    }
 
-        oscillator.start(now);
-        oscillator.stop(now + 0.03);
+    drawVisuals() {
+        // Fire the visual callback when each booked beat becomes audible
+        const now = this.audioContext.currentTime;
+        while (this.visualQueue.length > 0 && this.visualQueue[0].time <= now) {
+            const beat = this.visualQueue.shift();
+            if (this.visualCallback) {
+                this.visualCallback(beat);
+            }
+        }
+
+        if (this.isRunning) {
+            this.animationFrameId = requestAnimationFrame(() => this.drawVisuals());
+        }
+    }
+
+    /**
+     * Beat time (performance.now() ms) closest to the given time. Beats not
+     * booked yet are extrapolated from the last booked beat at the current tempo.
+     */
+    getNearestBeat(timeMs) {
+        if (this.beats.length === 0) return null;
+
+        const last = this.beats[this.beats.length - 1];
+        if (timeMs > last.timeMs) {
+            const intervalMs = this.getBeatInterval() * 1000;
+            const ahead = Math.round((timeMs - last.timeMs) / intervalMs);
+            if (ahead === 0) return last;
+
+            const index = last.index + ahead;
+            return {
+                index,
+                ...this.getBeatPosition(index),
+                muted: last.muted,
+                time: last.time + (ahead * intervalMs) / 1000,
+                timeMs: last.timeMs + ahead * intervalMs,
+                interval: intervalMs,
+                bpm: this.bpm,
+            };
+        }
 
-        // Trigger visual callback
-        if (this.visualCallback) {
-            this.visualCallback();
+        let nearest = last;
+        for (let i = this.beats.length - 2; i >= 0; i--) {
+            const beat = this.beats[i];
+            if (Math.abs(beat.timeMs - timeMs) > Math.abs(nearest.timeMs - timeMs)) break;
+            nearest = beat;
         }
+        return nearest;
     }
 
-    start() {
+    async start() {
         this.init();
 
         if (this.isRunning) return;
+        // A call made while an earlier one waits on the resume joins it
+        // instead of starting a second scheduler loop
+        if (this.starting) return this.starting;
 
-        this.isRunning = true;
-        const intervalMs = (60 / this.bpm) * 1000;
-
-        // Play first click immediately
-        this.playClick();
+        // Resume AudioContext if suspended (required for mobile browsers)
+        if (this.audioContext.state === 'suspended') {
+            const starting = this.audioContext.resume();
+            this.starting = starting;
+            try {
+                await starting;
+            } catch (error) {
+                if (this.starting === starting) this.starting = null;
+                throw error;
+            }
+            // stop() during the resume cancels the start
+            if (this.starting !== starting) return;
+            this.starting = null;
+        }
 
-        // Schedule subsequent clicks
-        this.intervalId = setInterval(() => {
-            this.playClick();
-        }, intervalMs);
+        this.isRunning = true;
+        this.beats = [];
+        this.visualQueue = [];
+        this.beatIndex = -this.countInBars * this.beatsPerBar;
+        this.gapCycle = null;
+        this.lastInterval = null;
+        this.nextBeatTime = this.audioContext.currentTime + SCHEDULER_CONFIG.startDelay;
+
+        this.scheduler();
+        this.schedulerId = setInterval(() => this.scheduler(), SCHEDULER_CONFIG.lookahead);
+        this.drawVisuals();
     }
 
     stop() {
         this.isRunning = false;
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-            this.intervalId = null;
+        this.starting = null;
+        if (this.schedulerId) {
+            clearInterval(this.schedulerId);
+            this.schedulerId = null;
         }
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+        this.visualQueue = [];
     }
 }
 
@@ -258,88 +817,303 @@ class AudioMetronome {
 // Visualization (Canvas)
 // ========================================
 
+/**
+ * The session drawn around a ring behind the tap zone. Fills its container
+ * at the screen's pixel density and repaints on the next animation frame,
+ * only when the taps, tempo or size have changed.
+ */
 class CircularVisualization {
     constructor(canvas) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.maxTaps = 60; // Show last 60 taps
-        this.centerX = canvas.width / 2;
-        this.centerY = canvas.height / 2;
+        this.fallbackSize = canvas.width; // Used while the canvas isn't laid out
+
+        this.state = null;
+        this.drawn = null;  // What the last frame showed, see getSnapshot()
+        this.frame = null;  // Pending requestAnimationFrame id
+
+        this.refreshColors();
+        this.resize();
+
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => {
+                this.resize();
+                this.invalidate();
+            }).observe(canvas.parentElement || canvas);
+        }
+        window.addEventListener('themechange', () => {
+            this.refreshColors();
+            this.invalidate();
+        });
+        this.watchPixelRatio();
+    }
+
+    /**
+     * Re-fit when the page moves to a screen with another pixel density,
+     * which doesn't resize the container
+     */
+    watchPixelRatio() {
+        if (!window.matchMedia) return;
+        const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        query.addEventListener('change', () => {
+            this.resize();
+            this.invalidate();
+            this.watchPixelRatio();
+        }, { once: true });
+    }
+
+    refreshColors() {
+        this.colors = getThemePalette({
+            grid: 'cream-border',
+            pattern: 'slate-blue-light',
+            perfect: COLORS.PERFECT,
+            good: COLORS.GOOD,
+            off: COLORS.OFF,
+            neutral: COLORS.NEUTRAL,
+        });
+    }
+
+    /**
+     * Match the backing store to the canvas's CSS size times the pixel
+     * ratio, and lay the ring out in CSS pixels
+     */
+    resize() {
+        const size = this.canvas.clientWidth || this.fallbackSize;
+        const ratio = window.devicePixelRatio || 1;
+
+        this.canvas.width = Math.round(size * ratio);
+        this.canvas.height = Math.round(size * ratio);
+        this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+        this.size = size;
+        this.centerX = size / 2;
+        this.centerY = size / 2;
         // Larger outer radius for the visualization ring
-        this.outerRadius = Math.min(this.centerX, this.centerY) - 20;
+        this.outerRadius = (size / 2) * 0.92;
         // Inner radius scaled proportionally to canvas size (65% of outer radius)
         // This ensures radial lines are visible on all device sizes
         this.innerRadius = this.outerRadius * 0.65;
     }
 
-    clear() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    /**
+     * Everything a frame depends on. Analyses are cached per voice until a
+     * tap or setting changes, so comparing them by identity is enough.
+     */
+    getSnapshot(state) {
+        return [
+            state,
+            state.getExpectedTotalTaps(),
+            state.beatsPerBar,
+            ...state.voices.flatMap((voice, index) => [voice.pattern, state.analyze(index)]),
+        ];
     }
 
+    /**
+     * Show `state`, repainting on the next frame if it changed since the
+     * last one. Cheap to call on every UI tick.
+     */
     draw(state) {
+        this.state = state;
+        const snapshot = this.getSnapshot(state);
+        const unchanged = this.drawn
+            && this.drawn.length === snapshot.length
+            && this.drawn.every((value, index) => value === snapshot[index]);
+        if (unchanged) return;
+
+        this.drawn = snapshot;
+        this.requestRender();
+    }
+
+    /**
+     * Repaint the current state even though it hasn't changed
+     */
+    invalidate() {
+        this.drawn = null;
+        if (this.state) this.draw(this.state);
+    }
+
+    requestRender() {
+        if (this.frame !== null) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.render();
+        });
+    }
+
+    render() {
+        const state = this.state;
         this.clear();
         this.drawClockFace();
+        this.drawBarLines(state);
+        this.drawLanes(state);
+        this.drawPattern(state);
         this.drawTaps(state);
     }
 
+    clear() {
+        this.ctx.clearRect(0, 0, this.size, this.size);
+    }
+
     drawClockFace() {
         const ctx = this.ctx;
 
         // Draw inner circle (around tap button)
-        ctx.strokeStyle = '#e8e5e0';
+        ctx.strokeStyle = this.colors.grid;
         ctx.lineWidth = 1;
         ctx.beginPath();
         ctx.arc(this.centerX, this.centerY, this.innerRadius, 0, Math.PI * 2);
         ctx.stroke();
     }
 
+    drawBarLines(state) {
+        const ctx = this.ctx;
+        const expectedTotalTaps = state.getExpectedTotalTaps();
+
+        // One tap per beat from the first tap on the one, so each bar line
+        // sits where that bar's downbeat tap lands on the ring
+        ctx.strokeStyle = this.colors.grid;
+        ctx.lineWidth = 1;
+        for (let beat = 0; beat < expectedTotalTaps; beat += state.beatsPerBar) {
+            const angle = (beat / expectedTotalTaps) * Math.PI * 2 - Math.PI / 2;
+            ctx.beginPath();
+            ctx.moveTo(
+                this.centerX + Math.cos(angle) * (this.innerRadius - 6),
+                this.centerY + Math.sin(angle) * (this.innerRadius - 6)
+            );
+            ctx.lineTo(
+                this.centerX + Math.cos(angle) * (this.outerRadius + 8),
+                this.centerY + Math.sin(angle) * (this.outerRadius + 8)
+            );
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * The part of the ring between the inner and outer circles that a voice
+     * draws in: all of it for one voice, otherwise a lane each, inside out
+     */
+    getLane(state, voice) {
+        const width = (this.outerRadius - this.innerRadius) / state.voices.length;
+        const inner = this.innerRadius + width * voice;
+        return { inner, outer: inner + width };
+    }
+
+    drawLanes(state) {
+        const ctx = this.ctx;
+        ctx.strokeStyle = this.colors.grid;
+        ctx.lineWidth = 1;
+        for (let voice = 1; voice < state.voices.length; voice++) {
+            ctx.beginPath();
+            ctx.arc(this.centerX, this.centerY, this.getLane(state, voice).inner, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * Small dots where each note of a voice's rhythm pattern falls: on the
+     * rim for one voice, along the middle of its lane for several
+     */
+    drawPattern(state) {
+        const ctx = this.ctx;
+        const expectedTotalTaps = state.getExpectedTotalTaps();
+
+        ctx.fillStyle = this.colors.pattern;
+        state.voices.forEach(({ pattern }, voice) => {
+            if (!pattern) return;
+
+            const lane = this.getLane(state, voice);
+            const radius = state.voices.length === 1 ? this.outerRadius + 4 : (lane.inner + lane.outer) / 2;
+
+            for (let bar = 0; bar * state.beatsPerBar < expectedTotalTaps; bar++) {
+                pattern.onsets.forEach(position => {
+                    const beat = bar * state.beatsPerBar + position;
+                    if (beat >= expectedTotalTaps) return;
+
+                    const angle = (beat / expectedTotalTaps) * Math.PI * 2 - Math.PI / 2;
+                    ctx.beginPath();
+                    ctx.arc(
+                        this.centerX + Math.cos(angle) * radius,
+                        this.centerY + Math.sin(angle) * radius,
+                        2.5, 0, Math.PI * 2
+                    );
+                    ctx.fill();
+                });
+            }
+        });
+    }
+
     drawTaps(state) {
-        if (state.taps.length === 0) return;
+        state.voices.forEach((voice, index) => this.drawVoiceTaps(state, index));
+    }
+
+    drawVoiceTaps(state, voice) {
+        const results = state.analyze(voice).taps;
+        if (results.length === 0) return;
 
         const ctx = this.ctx;
+        const lane = this.getLane(state, voice);
 
         // Calculate expected total taps for the session duration
         // BPM = beats per minute, so beats per second = BPM / 60
-        const expectedTotalTaps = (state.targetBPM / 60) * state.sessionDuration;
+        const expectedTotalTaps = state.getExpectedTotalTaps();
+
+        const angleFor = (slot) => (slot / expectedTotalTaps) * Math.PI * 2 - Math.PI / 2;
+
+        // A pattern's notes aren't a beat apart, so taps sit at their note's
+        // place in the bar plus how early or late they were
+        const pattern = state.voices[voice].pattern;
+        const noteAt = (index) => (index === null ? 0 : getOnsetPosition(pattern, index));
+        const positionOf = (result) => (pattern
+            ? noteAt(result.beatIndex) + (result.offset || 0) / result.target
+            : result.slot);
+
+        results.forEach((result, index) => {
+            // Calculate angle based on the tap's beat relative to expected total taps
+            // This ensures even distribution around the full 360° circle, with gaps for missed beats
+            const angle = angleFor(positionOf(result));
+
+            // Missed beats: hollow markers on the inner edge of the lane
+            for (let missed = 1; missed <= result.missedBefore; missed++) {
+                const slot = pattern ? noteAt(result.beatIndex - missed) : result.slot - missed;
+                this.drawMarker(angleFor(slot), lane.inner, this.colors.neutral);
+            }
 
-        state.taps.forEach((tap, index) => {
-            // Calculate angle based on tap index relative to expected total taps
-            // This ensures even distribution around the full 360° circle
-            const angle = (index / expectedTotalTaps) * Math.PI * 2 - Math.PI / 2;
+            // Double hits and extra taps: hollow markers just past their beat, unscored
+            if (result.event !== null) {
+                this.drawMarker(angleFor(pattern ? positionOf(result) : result.slot + 0.3), lane.outer - 6, this.colors.off);
+                return;
+            }
 
             // Determine color, line thickness, and length based on accuracy
-            let color = COLORS.NEUTRAL;
+            let color = this.colors.neutral;
             let lineWidth = 2;
             let lineExtension = 1.0; // Full length to outer radius
 
-            if (index > 0 && state.tapIntervals[index - 1]) {
-                const interval = state.tapIntervals[index - 1];
-                const error = Math.abs(interval - state.targetInterval);
-                const errorPercent = error / state.targetInterval;
-
-                if (errorPercent < THRESHOLDS.PERFECT) {
-                    color = COLORS.PERFECT;
+            if (result.category !== null) {
+                if (result.category === 'perfect') {
+                    color = this.colors.perfect;
                     lineWidth = 3.5;
                     lineExtension = 1.0; // Full length
-                } else if (errorPercent < THRESHOLDS.GOOD) {
-                    color = COLORS.GOOD;
+                } else if (result.category === 'good') {
+                    color = this.colors.good;
                     lineWidth = 2.5;
                     lineExtension = 0.85; // 85% length
                 } else {
-                    color = COLORS.OFF;
+                    color = this.colors.off;
                     lineWidth = 2;
                     lineExtension = 0.7; // 70% length
                 }
             }
 
-            // Calculate radial line coordinates (extending from inner circle outward)
+            // Calculate radial line coordinates (extending from the lane's inner edge outward)
             // Length varies based on timing accuracy
-            const maxLength = this.outerRadius - this.innerRadius;
+            const maxLength = lane.outer - lane.inner;
             const lineLength = maxLength * lineExtension;
-            const startX = this.centerX + Math.cos(angle) * this.innerRadius;
-            const startY = this.centerY + Math.sin(angle) * this.innerRadius;
-            const endX = this.centerX + Math.cos(angle) * (this.innerRadius + lineLength);
-            const endY = this.centerY + Math.sin(angle) * (this.innerRadius + lineLength);
+            const startX = this.centerX + Math.cos(angle) * lane.inner;
+            const startY = this.centerY + Math.sin(angle) * lane.inner;
+            const endX = this.centerX + Math.cos(angle) * (lane.inner + lineLength);
+            const endY = this.centerY + Math.sin(angle) * (lane.inner + lineLength);
 
             // Draw radial mark
             ctx.strokeStyle = color;
@@ -351,7 +1125,7 @@ class CircularVisualization {
             ctx.stroke();
 
             // Add subtle glow for recent taps
-            if (index >= state.taps.length - 5) {
+            if (index >= results.length - 5) {
                 ctx.strokeStyle = color;
                 ctx.lineWidth = lineWidth + 2;
                 ctx.globalAlpha = 0.3;
@@ -363,6 +1137,19 @@ class CircularVisualization {
             }
         });
     }
+
+    drawMarker(angle, radius, color) {
+        const ctx = this.ctx;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(
+            this.centerX + Math.cos(angle) * radius,
+            this.centerY + Math.sin(angle) * radius,
+            4, 0, Math.PI * 2
+        );
+        ctx.stroke();
+    }
 }
 
 // ========================================
@@ -376,98 +1163,580 @@ class TapTempoUI {
         this.metronome = new AudioMetronome();
         this.sessionTimer = null;
         this.updateTimer = null;
+        this.tempoRamp = null;
+        this.currentRecord = null;
+        this.suggestion = null; // coachSession() next session for the summary shown
+        this.sessionStore = new SessionStore();
+        this.midiInput = new MidiInput();
+        this.wakeLock = new ScreenWakeLock();
+        this.micInput = new MicInput();
+        this.latencyProfile = new LatencyProfile();
+        this.scoringProfile = new ScoringProfile();
+        this.accessibilityProfile = new AccessibilityProfile();
+        this.feedbackCues = new FeedbackCues(this.metronome);
+        this.calibration = null;
+        this.pendingCalibration = null;
+        this.lastVoice = 0;    // Voice of the latest tap
+        this.summaryVoice = 0; // Voice the summary's details describe
+        this.countInLabel = '';  // Training screen's message until the count-in is over
+        this.routineStore = new RoutineStore();
+        this.routineRun = null;    // { routine, index, records, timer } while a routine plays
+        this.routineReport = null; // { routine, records } of the last routine played
+        this.players = null;       // [{ name, key, state }] in a tap battle, each with their own TapTempoState
+        this.battleReport = null;  // { settings, records, ensemble } of the last battle played
 
         this.initElements();
         this.initEventListeners();
         this.initMetronome();
+        this.initMidi();
+        this.initMic();
+        this.renderDifficulty();
+        this.renderAccessibility();
+        this.renderPatterns();
+        this.renderVoiceOptions();
+        this.renderPlayerOptions();
+        this.renderBattleZones();
     }
 
-    initMetronome() {
-        // Set up visual callback for metronome beats
-        this.metronome.setVisualCallback(() => {
-            this.pulseMetronomeIndicator();
-        });
+    initMic() {
+        if (!this.micInput.isSupported()) {
+            this.micStatus.textContent = 'Microphone input is not available in this browser';
+            this.micEnableButton.disabled = true;
+            return;
+        }
+
+        this.micInput.onTap = (timestamp) => this.handleTap(INPUT_SOURCES.MIC, timestamp);
+        this.metronome.setClickListener((time, sound) => this.micInput.expectClick(time, sound));
     }
 
-    pulseMetronomeIndicator() {
-        const indicator = document.getElementById('metronome-pulse');
-        if (!indicator) return;
+    async enableMic() {
+        // The mic shares the metronome's AudioContext so onsets and clicks share a clock
+        this.metronome.init();
+        try {
+            await this.micInput.start(this.metronome.audioContext);
+            this.updateMicSettings();
+            this.micEnableButton.classList.add('hidden');
+            this.micOptions.classList.remove('hidden');
+            this.micStatus.textContent = 'Hits on your instrument will count as taps';
+        } catch (error) {
+            this.micStatus.textContent = 'Microphone access was refused';
+        }
+    }
 
-        // Add pulse effect
-        indicator.style.transform = 'scale(1.4)';
-        indicator.style.opacity = '1';
+    disableMic() {
+        this.micInput.stop();
+        this.micEnableButton.classList.remove('hidden');
+        this.micOptions.classList.add('hidden');
+        this.micStatus.textContent = '';
+    }
 
-        setTimeout(() => {
-            indicator.style.transform = 'scale(1)';
-            indicator.style.opacity = '0.6';
-        }, 100);
+    updateMicSettings() {
+        this.micInput.configure({
+            sensitivity: parseInt(this.micSensitivityInput.value) / 100,
+            refractory: Math.max(20, parseInt(this.micRefractoryInput.value) || 80) / 1000,
+        });
     }
 
-    initElements() {
-        // Setup screen
-        this.setupScreen = document.getElementById('setup-screen');
-        this.targetBPMInput = document.getElementById('target-bpm');
-        this.targetIntervalDisplay = document.getElementById('target-interval');
-        this.sessionDurationSelect = document.getElementById('session-duration');
-        this.startButton = document.getElementById('start-button');
-        this.bpmDecreaseBtn = document.getElementById('bpm-decrease');
-        this.bpmIncreaseBtn = document.getElementById('bpm-increase');
+    initMidi() {
+        if (!this.midiInput.isSupported()) {
+            this.midiStatus.textContent = 'Web MIDI is not available in this browser';
+            this.midiEnableButton.disabled = true;
+            return;
+        }
 
-        // Training screen
-        this.trainingScreen = document.getElementById('training-screen');
-        this.tapZone = document.getElementById('tap-zone');
-        this.accuracy = document.getElementById('accuracy');
-        this.tapFeedback = document.getElementById('tap-feedback');
-        this.stopButton = document.getElementById('stop-button');
+        for (let channel = 1; channel <= 16; channel++) {
+            const option = document.createElement('option');
+            option.value = channel;
+            option.textContent = `Channel ${channel}`;
+            this.midiChannelSelect.appendChild(option);
+        }
 
-        // PID debug
-        this.pidP = document.getElementById('pid-p');
-        this.pidI = document.getElementById('pid-i');
+        this.midiInput.onTap = (timestamp, { note }) => {
+            const voice = this.calibration ? 0 : this.findVoice('note', note);
+            if (voice >= 0) this.handleTap(INPUT_SOURCES.MIDI, timestamp, voice);
+        };
+        this.midiInput.onDevicesChanged = (inputs) => this.updateMidiDevices(inputs);
+    }
+
+    async enableMidi() {
+        try {
+            this.updateMidiDevices(await this.midiInput.requestAccess());
+            this.midiEnableButton.classList.add('hidden');
+            this.midiOptions.classList.remove('hidden');
+        } catch (error) {
+            this.midiStatus.textContent = 'MIDI access was refused';
+        }
+    }
+
+    updateMidiDevices(inputs) {
+        const selected = this.midiDeviceSelect.value;
+        this.midiDeviceSelect.innerHTML = '';
+
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = inputs.length > 0 ? 'No MIDI input' : 'No devices found';
+        this.midiDeviceSelect.appendChild(none);
+
+        inputs.forEach(input => {
+            const option = document.createElement('option');
+            option.value = input.id;
+            option.textContent = input.name;
+            this.midiDeviceSelect.appendChild(option);
+        });
+
+        // Keep the chosen device across hot-plug events, or default to the only one
+        if (inputs.some(input => input.id === selected)) {
+            this.midiDeviceSelect.value = selected;
+        } else if (inputs.length === 1) {
+            this.midiDeviceSelect.value = inputs[0].id;
+        }
+        this.updateMidiSelection();
+    }
+
+    updateMidiSelection() {
+        this.midiInput.selectInput(this.midiDeviceSelect.value);
+
+        const note = parseInt(this.midiNoteInput.value);
+        const channel = parseInt(this.midiChannelSelect.value);
+        this.midiInput.setFilter({
+            // Independence mode takes every note and routes it to its voice
+            note: Number.isNaN(note) || this.isIndependent() ? null : note,
+            channel: Number.isNaN(channel) ? null : channel,
+        });
+
+        this.midiStatus.textContent = this.midiDeviceSelect.value
+            ? 'Note-ons from this device will count as taps'
+            : '';
+    }
+
+    learnMidiNote() {
+        this.midiStatus.textContent = 'Hit the pad or key you want to tap with…';
+        this.midiInput.learnNote((note) => {
+            this.midiNoteInput.value = note;
+            this.updateMidiSelection();
+        });
+    }
+
+    initMetronome() {
+        // Set up visual callback for metronome beats
+        this.metronome.setVisualCallback((beat) => {
+            if (this.calibration) {
+                this.updateCalibrationProgress(beat);
+                return;
+            }
+
+            if (beat.countIn && this.state.isRunning) {
+                this.countInLabel = `Count-in ${beat.beatInBar + 1}`;
+            }
+            if (beat.isDownbeat && this.state.hasStarted && this.accessibilityProfile.get().announce) {
+                this.announcer.onDownbeat(beat.bar, this.getTapResults());
+            }
+
+            // Silent gap bars stay silent to the eye (and hand) too
+            if (beat.muted) return;
+            this.pulseMetronomeIndicator(beat.isDownbeat);
+            if (this.accessibilityProfile.get().haptics) vibrateBeat(beat.isDownbeat);
+        });
+        this.metronome.setBeatListener((beat) => this.onBeatBooked(beat));
+    }
+
+    /**
+     * Start and end sessions on the metronome's beats: the one after a
+     * count-in starts scoring, and a session counted in bars ends half a
+     * beat into the bar after its last
+     */
+    onBeatBooked(beat) {
+        if (!this.state.isRunning) return;
+
+        if (beat.index === 0 && !this.state.hasStarted) {
+            this.state.hasStarted = true;
+            this.state.startTime = beat.timeMs;
+            if (!this.settings.endAfter) {
+                this.sessionTimer = setTimeout(
+                    () => this.endSession(),
+                    beat.timeMs - performance.now() + this.state.sessionDuration * 1000
+                );
+            }
+        }
+
+        const end = this.settings.endAfter;
+        if (end && end.unit === SESSION_END.BARS && beat.index === end.count * this.state.beatsPerBar) {
+            this.sessionTimer = setTimeout(
+                () => this.endSession(),
+                Math.max(0, beat.timeMs - beat.interval / 2 - performance.now())
+            );
+        }
+    }
+
+    /**
+     * Every voice's (or player's) tap results in the order they were played
+     */
+    getTapResults() {
+        return this.getStates()
+            .flatMap(state => state.voices.flatMap((voice, index) => state.analyze(index).taps))
+            .sort((a, b) => a.time - b.time);
+    }
+
+    pulseMetronomeIndicator(isDownbeat = false) {
+        const indicator = document.getElementById('metronome-pulse');
+        if (!indicator) return;
+
+        // Add pulse effect, bigger on the one
+        indicator.style.transform = isDownbeat ? 'scale(1.8)' : 'scale(1.4)';
+        indicator.style.opacity = '1';
+
+        setTimeout(() => {
+            indicator.style.transform = 'scale(1)';
+            indicator.style.opacity = '0.6';
+        }, 100);
+    }
+
+    initElements() {
+        // Setup screen
+        this.setupScreen = document.getElementById('setup-screen');
+        this.targetBPMInput = document.getElementById('target-bpm');
+        this.targetIntervalDisplay = document.getElementById('target-interval');
+        this.sessionDurationSelect = document.getElementById('session-duration');
+        this.sessionEndSelect = document.getElementById('session-end');
+        this.sessionCountInput = document.getElementById('session-count');
+        this.countInSelect = document.getElementById('count-in');
+        this.scoringModeSelect = document.getElementById('scoring-mode');
+        this.meterSelect = document.getElementById('meter');
+        this.subdivisionSelect = document.getElementById('subdivision');
+        this.clickSoundSelect = document.getElementById('click-sound');
+        this.gapModeSelect = document.getElementById('gap-mode');
+        this.gapPlayBarsInput = document.getElementById('gap-play-bars');
+        this.gapMuteBarsInput = document.getElementById('gap-mute-bars');
+        this.gapOptions = document.getElementById('gap-options');
+        this.rampModeSelect = document.getElementById('ramp-mode');
+        this.rampOptions = document.getElementById('ramp-options');
+        this.rampStepInput = document.getElementById('ramp-step');
+        this.rampEveryInput = document.getElementById('ramp-every');
+        this.rampUnitSelect = document.getElementById('ramp-unit');
+        this.rampMaxInput = document.getElementById('ramp-max');
+        this.rampStreakInput = document.getElementById('ramp-streak');
+        this.patternSelect = document.getElementById('rhythm-pattern');
+        this.patternOptions = document.getElementById('pattern-options');
+        this.patternStepsInput = document.getElementById('pattern-steps');
+        this.rhythmSection = document.getElementById('rhythm-section');
+        this.voiceCountSelect = document.getElementById('voice-count');
+        this.voiceOptions = document.getElementById('voice-options');
+        this.playerCountSelect = document.getElementById('player-count');
+        this.playerOptions = document.getElementById('player-options');
+        this.setupError = document.getElementById('setup-error');
+        this.difficultySelect = document.getElementById('difficulty');
+        this.difficultyBands = document.getElementById('difficulty-bands');
+        this.tuningOptions = document.getElementById('tuning-options');
+        this.thresholdInputs = {
+            PERFECT: document.getElementById('threshold-perfect'),
+            GOOD: document.getElementById('threshold-good'),
+            ACCEPTABLE: document.getElementById('threshold-acceptable'),
+        };
+        this.pidInputs = {
+            Kp: document.getElementById('pid-kp'),
+            Ki: document.getElementById('pid-ki'),
+            Kd: document.getElementById('pid-kd'),
+        };
+        this.pidIntegralSelect = document.getElementById('pid-integral');
+        this.pidLeakInput = document.getElementById('pid-leak');
+        this.pidWindowInput = document.getElementById('pid-window');
+        this.pidIntegralUnit = document.getElementById('pid-integral-unit');
+        this.startButton = document.getElementById('start-button');
+        this.sharePresetButton = document.getElementById('share-preset-button');
+        this.sharePresetStatus = document.getElementById('share-preset-status');
+        this.midiEnableButton = document.getElementById('midi-enable');
+        this.midiOptions = document.getElementById('midi-options');
+        this.midiDeviceSelect = document.getElementById('midi-device');
+        this.midiChannelSelect = document.getElementById('midi-channel');
+        this.midiNoteInput = document.getElementById('midi-note');
+        this.midiLearnButton = document.getElementById('midi-learn');
+        this.midiStatus = document.getElementById('midi-status');
+        this.micEnableButton = document.getElementById('mic-enable');
+        this.micDisableButton = document.getElementById('mic-disable');
+        this.micOptions = document.getElementById('mic-options');
+        this.micSensitivityInput = document.getElementById('mic-sensitivity');
+        this.micRefractoryInput = document.getElementById('mic-refractory');
+        this.micStatus = document.getElementById('mic-status');
+        this.announceCheckbox = document.getElementById('a11y-announce');
+        this.hapticsCheckbox = document.getElementById('a11y-haptics');
+        this.hapticsNote = document.getElementById('a11y-haptics-note');
+        this.cuesSelect = document.getElementById('a11y-cues');
+        this.bpmDecreaseBtn = document.getElementById('bpm-decrease');
+        this.bpmIncreaseBtn = document.getElementById('bpm-increase');
+
+        // Training screen
+        this.trainingScreen = document.getElementById('training-screen');
+        this.tapZone = document.getElementById('tap-zone');
+        this.accuracy = document.getElementById('accuracy');
+        this.currentTempo = document.getElementById('current-tempo');
+        this.tapFeedback = document.getElementById('tap-feedback');
+        this.stopButton = document.getElementById('stop-button');
+        this.patternLegend = document.getElementById('pattern-legend');
+        this.voiceZones = document.getElementById('voice-zones');
+        this.voiceLanes = document.getElementById('voice-lanes');
+        this.battleZones = document.getElementById('battle-zones');
+        this.tapRing = document.getElementById('tap-ring');
+        this.tapTableDetails = document.getElementById('tap-table');
+        this.tempoGraphPanel = document.getElementById('tempo-graph-panel');
+
+        // PID debug
+        this.pidP = document.getElementById('pid-p');
+        this.pidI = document.getElementById('pid-i');
         this.pidD = document.getElementById('pid-d');
 
-        // Canvas
+        // Canvas, and its text alternatives
         const canvas = document.getElementById('tap-circle');
         this.visualization = new CircularVisualization(canvas);
+        this.tempoGraph = new TempoGraph(document.getElementById('tempo-graph'), { live: true });
+        this.tapTable = new TapTable({
+            details: this.tapTableDetails,
+            body: document.getElementById('tap-table-body'),
+            canvas,
+        });
+        this.announcer = new BarAnnouncer(document.getElementById('announcer'));
 
         // Summary screen
         this.summaryScreen = document.getElementById('summary-screen');
         this.summaryVerdict = document.getElementById('summary-verdict');
+        this.summaryAdvice = document.getElementById('summary-advice');
+        this.summarySuggestion = document.getElementById('summary-suggestion');
+        this.summarySuggestionButton = document.getElementById('summary-suggestion-button');
+        this.summarySuggestionReason = document.getElementById('summary-suggestion-reason');
         this.summaryTaps = document.getElementById('summary-taps');
         this.summaryAccuracy = document.getElementById('summary-accuracy');
         this.summaryConsistency = document.getElementById('summary-consistency');
         this.summaryTendency = document.getElementById('summary-tendency');
         this.summaryStability = document.getElementById('summary-stability');
         this.summaryBestRun = document.getElementById('summary-best-run');
+        this.summaryMode = document.getElementById('summary-mode');
+        this.summaryDifficulty = document.getElementById('summary-difficulty');
+        this.summaryPattern = document.getElementById('summary-pattern');
+        this.summaryVoices = document.getElementById('summary-voices');
+        this.summaryVoiceList = document.getElementById('summary-voice-list');
+        this.summaryVoiceSelect = document.getElementById('summary-voice');
+        this.summaryGap = document.getElementById('summary-gap');
+        this.summaryGapAudible = document.getElementById('summary-gap-audible');
+        this.summaryGapSilent = document.getElementById('summary-gap-silent');
+        this.summaryGapDrift = document.getElementById('summary-gap-drift');
+        this.summaryRampRow = document.getElementById('summary-ramp-row');
+        this.summaryRamp = document.getElementById('summary-ramp');
         this.retryButton = document.getElementById('retry-button');
         this.newSettingsButton = document.getElementById('new-settings-button');
+        this.summaryHistoryButton = document.getElementById('summary-history-button');
+        this.summaryVisualization = new CircularVisualization(document.getElementById('summary-circle'));
+        this.summaryTapTable = new TapTable({
+            details: document.getElementById('summary-tap-table'),
+            body: document.getElementById('summary-tap-table-body'),
+            canvas: document.getElementById('summary-circle'),
+        });
+        this.summaryTempoGraph = new TempoGraph(document.getElementById('summary-tempo-graph'));
+        this.summaryHistogram = new ErrorHistogram(document.getElementById('summary-histogram'));
+        this.summaryErrorMean = document.getElementById('summary-error-mean');
+        this.summaryErrorMedian = document.getElementById('summary-error-median');
+        this.summaryErrorStdDev = document.getElementById('summary-error-stddev');
+        this.summaryErrorOuter = document.getElementById('summary-error-p5-p95');
+        this.summaryErrorInner = document.getElementById('summary-error-p25-p75');
+        this.summaryDrift = document.getElementById('summary-drift');
+        this.summaryOutliers = document.getElementById('summary-outliers');
+        this.summaryDoubleTaps = document.getElementById('summary-double-taps');
+        this.summaryMissedBeats = document.getElementById('summary-missed-beats');
+        this.summaryExtraTaps = document.getElementById('summary-extra-taps');
+        this.exportButtons = document.querySelectorAll('[data-export]');
+        this.summaryExport = document.getElementById('summary-export');
+        this.summaryShared = document.getElementById('summary-shared');
+        this.summarySharedDate = document.getElementById('summary-shared-date');
+        this.shareResultButton = document.getElementById('share-result-button');
+        this.shareResultStatus = document.getElementById('share-result-status');
+
+        // History screen
+        this.historyScreen = document.getElementById('history-screen');
+        this.historyButton = document.getElementById('history-button');
+        this.historyBackButton = document.getElementById('history-back-button');
+        this.importButton = document.getElementById('import-button');
+        this.importInput = document.getElementById('import-input');
+        this.importError = document.getElementById('import-error');
+        this.historyView = new SessionHistoryView(this.sessionStore, {
+            onOpen: (record) => this.showSessionRecord(record),
+            onExport: (record, format) => downloadSessionExport(record, format),
+        });
+
+        // Routine screens
+        this.routineScreen = document.getElementById('routine-screen');
+        this.routinesButton = document.getElementById('routines-button');
+        this.routineBackButton = document.getElementById('routine-back-button');
+        this.routineProgress = document.getElementById('routine-progress');
+        this.routineView = new RoutineEditorView(this.routineStore, {
+            choices: { meters: Object.keys(METERS), modes: Object.values(SCORING_MODES) },
+            onRun: (routine) => this.startRoutine(routine),
+            onShare: (routine, status) => this.copyLink(buildRoutineURL(location.origin, routine), status),
+        });
+        this.routineBreakScreen = document.getElementById('routine-break-screen');
+        this.routineBreakRoutine = document.getElementById('routine-break-routine');
+        this.routineBreakTitle = document.getElementById('routine-break-title');
+        this.routineBreakLast = document.getElementById('routine-break-last');
+        this.routineBreakNext = document.getElementById('routine-break-next');
+        this.routineBreakCountdown = document.getElementById('routine-break-countdown');
+        this.routineBreakStartButton = document.getElementById('routine-break-start');
+        this.routineBreakEndButton = document.getElementById('routine-break-end');
+        this.routineReportScreen = document.getElementById('routine-report-screen');
+        this.routineReportName = document.getElementById('routine-report-name');
+        this.routineReportAccuracy = document.getElementById('routine-report-accuracy');
+        this.routineReportConsistency = document.getElementById('routine-report-consistency');
+        this.routineReportCount = document.getElementById('routine-report-count');
+        this.routineReportBest = document.getElementById('routine-report-best');
+        this.routineReportWorst = document.getElementById('routine-report-worst');
+        this.routineReportList = document.getElementById('routine-report-list');
+        this.routineReportAgainButton = document.getElementById('routine-report-again');
+        this.routineReportRoutinesButton = document.getElementById('routine-report-routines');
+        this.routineReportDoneButton = document.getElementById('routine-report-done');
+        this.summaryRoutineButton = document.getElementById('summary-routine-button');
+
+        // Battle report screen
+        this.battleReportScreen = document.getElementById('battle-report-screen');
+        this.battleReportHeadline = document.getElementById('battle-report-headline');
+        this.battleReportList = document.getElementById('battle-report-list');
+        this.battleReportAccurate = document.getElementById('battle-report-accurate');
+        this.battleReportConsistent = document.getElementById('battle-report-consistent');
+        this.battleReportTightness = document.getElementById('battle-report-tightness');
+        this.battleReportSpread = document.getElementById('battle-report-spread');
+        this.battleReportNotes = document.getElementById('battle-report-notes');
+        this.battleReportLeads = document.getElementById('battle-report-leads');
+        this.battleReportAgainButton = document.getElementById('battle-report-again');
+        this.battleReportDoneButton = document.getElementById('battle-report-done');
+        this.summaryBattleButton = document.getElementById('summary-battle-button');
+
+        // Calibration screen
+        this.calibrationScreen = document.getElementById('calibration-screen');
+        this.calibrationButton = document.getElementById('calibration-button');
+        this.calibrationStartButton = document.getElementById('calibration-start');
+        this.calibrationTapZone = document.getElementById('calibration-tap-zone');
+        this.calibrationProgress = document.getElementById('calibration-progress');
+        this.calibrationResults = document.getElementById('calibration-results');
+        this.calibrationSaveButton = document.getElementById('calibration-save');
+        this.calibrationOffsets = document.getElementById('calibration-offsets');
+        this.calibrationBackButton = document.getElementById('calibration-back');
+
+        this.screens = [
+            this.setupScreen,
+            this.trainingScreen,
+            this.summaryScreen,
+            this.historyScreen,
+            this.calibrationScreen,
+            this.routineScreen,
+            this.routineBreakScreen,
+            this.routineReportScreen,
+            this.battleReportScreen,
+        ];
     }
 
     initEventListeners() {
         // Setup screen
         this.startButton.addEventListener('click', () => this.startSession());
+        this.sharePresetButton.addEventListener('click', () => this.sharePreset());
         this.targetBPMInput.addEventListener('input', (e) => this.updateTargetBPM(e.target.value));
         this.bpmDecreaseBtn.addEventListener('click', () => this.adjustBPM(-5));
         this.bpmIncreaseBtn.addEventListener('click', () => this.adjustBPM(5));
+        this.sessionEndSelect.addEventListener('change', () => this.updateSessionEndOptions());
+        this.gapModeSelect.addEventListener('change', () => this.updateGapOptions());
+        this.rampModeSelect.addEventListener('change', () => this.updateRampOptions());
+        this.patternSelect.addEventListener('change', () => this.updatePatternOptions());
+        this.patternStepsInput.addEventListener('input', () => this.setupError.classList.add('hidden'));
+        this.voiceCountSelect.addEventListener('change', () => this.updateVoiceOptions());
+        this.playerCountSelect.addEventListener('change', () => this.updatePlayerOptions());
+        this.difficultySelect.addEventListener('change', () => {
+            this.scoringProfile.setPreset(this.difficultySelect.value);
+            this.renderDifficulty();
+        });
+        [
+            ...Object.values(this.thresholdInputs),
+            ...Object.values(this.pidInputs),
+            this.pidIntegralSelect,
+            this.pidLeakInput,
+            this.pidWindowInput,
+        ].forEach(input => input.addEventListener('change', () => this.updateTuning()));
+        this.midiEnableButton.addEventListener('click', () => this.enableMidi());
+        this.midiDeviceSelect.addEventListener('change', () => this.updateMidiSelection());
+        this.midiChannelSelect.addEventListener('change', () => this.updateMidiSelection());
+        this.midiNoteInput.addEventListener('input', () => this.updateMidiSelection());
+        this.midiLearnButton.addEventListener('click', () => this.learnMidiNote());
+        this.micEnableButton.addEventListener('click', () => this.enableMic());
+        this.micDisableButton.addEventListener('click', () => this.disableMic());
+        this.micSensitivityInput.addEventListener('input', () => this.updateMicSettings());
+        this.micRefractoryInput.addEventListener('change', () => this.updateMicSettings());
+        [this.announceCheckbox, this.hapticsCheckbox, this.cuesSelect].forEach(input => {
+            input.addEventListener('change', () => this.updateAccessibility());
+        });
 
         // Training screen
-        this.tapZone.addEventListener('click', () => this.handleTap());
+        this.tapZone.addEventListener('click', () => this.handleTap(INPUT_SOURCES.POINTER));
         this.tapZone.addEventListener('keydown', (e) => {
+            // In independence mode and tap battles only the voices' or players' own keys tap
+            if (this.isIndependent() || this.isBattle()) return;
             if (e.code === 'Space' || e.code === 'Enter') {
                 e.preventDefault();
-                this.handleTap();
+                // Don't let the global Space shortcut count the same press again
+                e.stopPropagation();
+                this.handleTap(INPUT_SOURCES.KEYBOARD);
             }
         });
         this.stopButton.addEventListener('click', () => this.endSession());
 
         // Summary screen
         this.retryButton.addEventListener('click', () => this.retrySession());
+        this.summaryVoiceSelect.addEventListener('change', () => {
+            this.summaryVoice = parseInt(this.summaryVoiceSelect.value);
+            this.generateSummary();
+        });
         this.newSettingsButton.addEventListener('click', () => this.showSetup());
+        this.summaryHistoryButton.addEventListener('click', () => this.showHistory());
+        this.exportButtons.forEach(button => {
+            button.addEventListener('click', () => this.exportSession(button.dataset.export));
+        });
+        this.shareResultButton.addEventListener('click', () => this.shareResult());
+        this.summarySuggestionButton.addEventListener('click', () => this.startSuggestion());
+        this.summaryRoutineButton.addEventListener('click', () => this.showRoutineReport());
+        this.summaryBattleButton.addEventListener('click', () => this.showBattleReport());
+
+        // History screen
+        this.historyButton.addEventListener('click', () => this.showHistory());
+        this.historyBackButton.addEventListener('click', () => this.showSetup());
+        this.importButton.addEventListener('click', () => this.importInput.click());
+        this.importInput.addEventListener('change', () => {
+            if (this.importInput.files.length > 0) {
+                this.importSession(this.importInput.files[0]);
+                this.importInput.value = '';
+            }
+        });
+
+        // Routine screens
+        this.routinesButton.addEventListener('click', () => this.showRoutines());
+        this.routineBackButton.addEventListener('click', () => this.showSetup());
+        this.routineBreakStartButton.addEventListener('click', () => this.beginRoutineExercise());
+        this.routineBreakEndButton.addEventListener('click', () => this.endRoutine());
+        this.routineReportAgainButton.addEventListener('click', () => this.startRoutine(this.routineReport.routine));
+        this.routineReportRoutinesButton.addEventListener('click', () => this.showRoutines());
+        this.routineReportDoneButton.addEventListener('click', () => this.showSetup());
+
+        // Battle report screen
+        this.battleReportAgainButton.addEventListener('click', () => this.beginSession(this.battleReport.settings));
+        this.battleReportDoneButton.addEventListener('click', () => this.showSetup());
+
+        // Calibration screen
+        this.calibrationButton.addEventListener('click', () => this.showCalibration());
+        this.calibrationStartButton.addEventListener('click', () => this.startCalibration());
+        this.calibrationTapZone.addEventListener('click', () => this.handleTap(INPUT_SOURCES.POINTER));
+        this.calibrationSaveButton.addEventListener('click', () => this.saveCalibration());
+        this.calibrationBackButton.addEventListener('click', () => {
+            this.stopCalibration();
+            this.showSetup();
+        });
 
         // Global keyboard shortcut
         document.addEventListener('keydown', (e) => {
-            if (this.state.isRunning && e.code === 'Space') {
+            const voice = this.calibration ? (e.code === 'Space' ? 0 : -1) : this.findVoice('key', e.code);
+            if ((this.state.isRunning || this.calibration) && voice >= 0) {
                 e.preventDefault();
-                this.handleTap();
+                this.handleTap(INPUT_SOURCES.KEYBOARD, performance.now(), voice);
             }
         });
     }
@@ -479,76 +1748,787 @@ class TapTempoUI {
         this.updateTargetBPM(newBPM);
     }
 
+    updateSessionEndOptions() {
+        const timed = this.sessionEndSelect.value === SESSION_END.SECONDS;
+        this.sessionDurationSelect.classList.toggle('hidden', !timed);
+        this.sessionCountInput.classList.toggle('hidden', timed);
+    }
+
+    updateGapOptions() {
+        this.gapOptions.classList.toggle('hidden', this.gapModeSelect.value === GAP_MODES.OFF);
+    }
+
+    updateRampOptions() {
+        this.rampOptions.classList.toggle('hidden', this.rampModeSelect.value === 'off');
+    }
+
+    /**
+     * Add the preset rhythms to a rhythm select, ahead of its custom option
+     */
+    addPatternOptions(select) {
+        const custom = select.querySelector(`option[value="${CUSTOM_PATTERN}"]`);
+        Object.entries(RHYTHM_PATTERNS).forEach(([id, preset]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = preset.label;
+            select.insertBefore(option, custom);
+        });
+    }
+
+    renderPatterns() {
+        this.addPatternOptions(this.patternSelect);
+    }
+
+    updatePatternOptions() {
+        const id = this.patternSelect.value;
+        this.patternOptions.classList.toggle('hidden', id !== CUSTOM_PATTERN);
+        this.setupError.classList.add('hidden');
+
+        // Each preset is written for one meter
+        const preset = RHYTHM_PATTERNS[id];
+        if (preset) this.meterSelect.value = preset.meter;
+    }
+
+    /**
+     * A rhythm select's choice as { id, steps }, null for every beat. Throws
+     * if custom notation doesn't parse.
+     */
+    readPattern(select, stepsInput) {
+        const id = select.value;
+        if (!id) return null;
+
+        const steps = id === CUSTOM_PATTERN ? stepsInput.value.trim() : RHYTHM_PATTERNS[id].steps;
+        parsePattern(steps, (METERS[this.meterSelect.value] || METERS['4/4']).beatsPerBar);
+        return { id, steps };
+    }
+
+    getPatternSetting() {
+        try {
+            return this.readPattern(this.patternSelect, this.patternStepsInput);
+        } catch (error) {
+            throw new Error(`Rhythm: ${error.message}`);
+        }
+    }
+
+    describeKey(code) {
+        return code.replace(/^(Key|Digit)/, '');
+    }
+
+    createElement(tag, className, attributes = {}) {
+        const element = document.createElement(tag);
+        element.className = className;
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        return element;
+    }
+
+    /**
+     * A box that takes the next key pressed while it has focus, keeping
+     * its KeyboardEvent.code in data-code
+     */
+    createKeyInput(code, ariaLabel) {
+        const key = this.createElement('input', 'tap-input text-lg w-20 p-2 text-center', { type: 'text', readonly: '', 'aria-label': ariaLabel });
+        key.dataset.code = code;
+        key.value = this.describeKey(code);
+        key.addEventListener('keydown', (e) => {
+            if (e.code === 'Tab') return;
+            e.preventDefault();
+            key.dataset.code = e.code;
+            key.value = this.describeKey(e.code);
+            this.setupError.classList.add('hidden');
+        });
+        return key;
+    }
+
+    /**
+     * One row of inputs per possible voice: name, key, MIDI note and rhythm.
+     * updateVoiceOptions() shows as many as are in use.
+     */
+    renderVoiceOptions() {
+        const create = (tag, className, attributes) => this.createElement(tag, className, attributes);
+
+        this.voiceRows = VOICE_DEFAULTS.map((defaults, index) => {
+            const name = `Voice ${index + 1}`;
+            const row = create('div', 'flex flex-wrap items-center justify-center gap-3');
+
+            const label = create('input', 'tap-input text-lg w-28 p-2', { type: 'text', 'aria-label': `${name} name` });
+            label.value = defaults.label;
+
+            const key = this.createKeyInput(defaults.key, `${name} key`);
+
+            const note = create('input', 'tap-input text-lg w-20 p-2', { type: 'number', min: 0, max: 127, 'aria-label': `${name} MIDI note` });
+            note.value = defaults.note;
+
+            const pattern = create('select', 'tap-input text-lg p-2', { 'aria-label': `${name} rhythm` });
+            pattern.innerHTML = `<option value="">Every beat</option><option value="${CUSTOM_PATTERN}">Custom pattern</option>`;
+            this.addPatternOptions(pattern);
+            pattern.value = defaults.pattern;
+
+            const steps = create('input', 'hidden tap-input text-lg w-40 p-2 font-mono', { type: 'text', spellcheck: 'false', 'aria-label': `${name} pattern steps` });
+            steps.value = 'x.x. x.x.';
+            pattern.addEventListener('change', () => {
+                steps.classList.toggle('hidden', pattern.value !== CUSTOM_PATTERN);
+                this.setupError.classList.add('hidden');
+            });
+
+            const keyLabel = create('span', '');
+            keyLabel.textContent = 'key';
+            const noteLabel = create('span', '');
+            noteLabel.textContent = 'note';
+
+            row.append(label, keyLabel, key, noteLabel, note, pattern, steps);
+            this.voiceOptions.appendChild(row);
+            return { row, label, key, note, pattern, steps };
+        });
+        this.updateVoiceOptions();
+    }
+
+    updateVoiceOptions() {
+        const count = parseInt(this.voiceCountSelect.value);
+        this.voiceOptions.classList.toggle('hidden', count === 1);
+        // Each voice picks its own rhythm
+        this.rhythmSection.classList.toggle('hidden', count > 1);
+        this.voiceRows.forEach(({ row }, index) => row.classList.toggle('hidden', index >= count));
+        this.setupError.classList.add('hidden');
+    }
+
+    /**
+     * Independence-mode voices as [{ label, key, note, pattern }], null when
+     * it's off. Throws if a rhythm doesn't parse or two voices share a key or note.
+     */
+    getVoiceSettings() {
+        const count = parseInt(this.voiceCountSelect.value);
+        if (count === 1) return null;
+
+        const voices = this.voiceRows.slice(0, count).map((row, index) => {
+            const label = row.label.value.trim() || `Voice ${index + 1}`;
+            const note = parseInt(row.note.value);
+            let pattern;
+            try {
+                pattern = this.readPattern(row.pattern, row.steps);
+            } catch (error) {
+                throw new Error(`${label}: ${error.message}`);
+            }
+            return { label, key: row.key.dataset.code, note: Number.isNaN(note) ? null : note, pattern };
+        });
+
+        voices.forEach((voice, index) => {
+            const earlier = voices.slice(0, index);
+            const sameKey = earlier.find(other => other.key === voice.key);
+            if (sameKey) {
+                throw new Error(`${sameKey.label} and ${voice.label} both use the ${this.describeKey(voice.key)} key`);
+            }
+            const sameNote = voice.note !== null && earlier.find(other => other.note === voice.note);
+            if (sameNote) {
+                throw new Error(`${sameNote.label} and ${voice.label} both use MIDI note ${voice.note}`);
+            }
+        });
+        return voices;
+    }
+
+    isIndependent() {
+        return Boolean(this.settings && this.settings.voices);
+    }
+
+    /**
+     * One row per possible tap-battle player: a name and a key.
+     * updatePlayerOptions() shows as many as are playing.
+     */
+    renderPlayerOptions() {
+        this.playerRows = PLAYER_DEFAULTS.map((defaults, index) => {
+            const row = this.createElement('div', 'flex flex-wrap items-center justify-center gap-3');
+            const name = this.createElement('input', 'tap-input text-lg w-36 p-2', { type: 'text', 'aria-label': `Player ${index + 1} name` });
+            name.value = defaults.name;
+            name.addEventListener('input', () => this.setupError.classList.add('hidden'));
+            const key = this.createKeyInput(defaults.key, `Player ${index + 1} key`);
+
+            const keyLabel = this.createElement('span', '');
+            keyLabel.textContent = 'key';
+            row.append(name, keyLabel, key);
+            this.playerOptions.appendChild(row);
+            return { row, name, key };
+        });
+        this.updatePlayerOptions();
+    }
+
+    updatePlayerOptions() {
+        const count = parseInt(this.playerCountSelect.value);
+        this.playerOptions.classList.toggle('hidden', count === 1);
+        this.playerRows.forEach(({ row }, index) => row.classList.toggle('hidden', index >= count));
+        this.setupError.classList.add('hidden');
+    }
+
+    /**
+     * Tap-battle players as [{ name, key }], null when it's off. Throws if
+     * two players share a name or a key.
+     */
+    getPlayerSettings() {
+        const count = parseInt(this.playerCountSelect.value);
+        if (count === 1) return null;
+
+        const players = this.playerRows.slice(0, count).map((row, index) => ({
+            name: row.name.value.trim() || `Player ${index + 1}`,
+            key: row.key.dataset.code,
+        }));
+
+        players.forEach((player, index) => {
+            const earlier = players.slice(0, index);
+            if (earlier.some(other => other.name === player.name)) {
+                throw new Error(`Two players are called ${player.name}`);
+            }
+            const sameKey = earlier.find(other => other.key === player.key);
+            if (sameKey) {
+                throw new Error(`${sameKey.name} and ${player.name} both use the ${this.describeKey(player.key)} key`);
+            }
+        });
+        return players;
+    }
+
+    isBattle() {
+        return Boolean(this.settings && this.settings.players);
+    }
+
+    /**
+     * Voice a key (KeyboardEvent.code) or MIDI note plays, or -1: in a tap
+     * battle, the player whose key it is. With a single voice, Space and
+     * every note through the MIDI filter play it.
+     */
+    findVoice(input, value) {
+        if (this.isBattle()) {
+            return input === 'key' ? this.settings.players.findIndex(player => player.key === value) : -1;
+        }
+        if (!this.isIndependent()) {
+            return input === 'key' && value !== 'Space' ? -1 : 0;
+        }
+        return this.settings.voices.findIndex(voice => voice[input] === value);
+    }
+
+    /**
+     * Where a tap on `voice` (a findVoice() result) is recorded, as
+     * { state, voice }: a voice of the session's state, or in a tap battle
+     * the one voice of that player's own state
+     */
+    routeTap(voice) {
+        return this.players ? { state: this.players[voice].state, voice: 0 } : { state: this.state, voice };
+    }
+
+    /**
+     * Every TapTempoState taking taps this session: each player's in a tap
+     * battle, otherwise just the session's
+     */
+    getStates() {
+        return this.players ? this.players.map(player => player.state) : [this.state];
+    }
+
+    /**
+     * TapTempoState.setVoices() input for a session's settings
+     */
+    getVoiceConfigs(settings, beatsPerBar) {
+        const parse = (pattern) => (pattern ? parsePattern(pattern.steps, beatsPerBar) : null);
+        if (!settings.voices) {
+            return [{ label: null, pattern: parse(settings.pattern) }];
+        }
+        return settings.voices.map(voice => ({ label: voice.label, pattern: parse(voice.pattern) }));
+    }
+
+    /**
+     * Split the tap zone into one zone per voice, or back into one
+     */
+    renderVoiceZones(voices) {
+        this.voiceZones.innerHTML = '';
+        this.voiceZones.classList.toggle('hidden', !voices);
+        this.voiceLanes.classList.toggle('hidden', !voices);
+        if (!voices) return;
+
+        voices.forEach((voice, index) => {
+            const zone = document.createElement('div');
+            zone.className = 'voice-zone';
+            zone.setAttribute('role', 'button');
+            zone.setAttribute('aria-label', `Tap ${voice.label}`);
+
+            const text = document.createElement('div');
+            text.className = 'voice-zone-text';
+            text.textContent = voice.label;
+            const key = document.createElement('div');
+            key.className = 'tap-zone-subtitle';
+            key.textContent = this.describeKey(voice.key);
+            zone.append(text, key);
+
+            // pointerdown rather than click, so two fingers can play two voices at once
+            zone.addEventListener('pointerdown', (e) => {
+                e.preventDefault();
+                zone.classList.add('active');
+                setTimeout(() => zone.classList.remove('active'), 100);
+                this.handleTap(INPUT_SOURCES.POINTER, performance.now(), index);
+            });
+            // The tap zone underneath would count the same press for the first voice
+            zone.addEventListener('click', (e) => e.stopPropagation());
+            this.voiceZones.appendChild(zone);
+        });
+
+        this.voiceLanes.textContent = `Lanes, inside out: ${voices.map(voice => voice.label).join(' · ')}`;
+    }
+
+    /**
+     * A ring and tap zone for each possible tap-battle player, built once;
+     * showBattleZones() labels and shows the ones playing
+     */
+    renderBattleZones() {
+        this.battlePanels = PLAYER_DEFAULTS.map((defaults, index) => {
+            const panel = this.createElement('div', 'hidden text-center');
+            const ring = this.createElement('div', 'relative flex justify-center items-center w-full aspect-square mx-auto');
+            const canvas = this.createElement('canvas', 'absolute inset-0 w-full h-full', {
+                width: 240, height: 240, role: 'img', 'aria-label': 'No taps yet',
+            });
+            const zone = this.createElement('div', 'tap-zone-overlay', { role: 'button' });
+            const name = this.createElement('div', 'voice-zone-text');
+            const key = this.createElement('div', 'tap-zone-subtitle');
+            const accuracy = this.createElement('div', 'text-2xl font-light text-charcoal mt-2');
+            const feedback = this.createElement('div', 'text-sm font-light text-charcoal-dim min-h-[1.25rem]');
+
+            // pointerdown rather than click, so players can tap at the same moment
+            zone.addEventListener('pointerdown', (e) => {
+                e.preventDefault();
+                this.handleTap(INPUT_SOURCES.POINTER, performance.now(), index);
+            });
+
+            zone.append(name, key);
+            ring.append(canvas, zone);
+            panel.append(ring, accuracy, feedback);
+            this.battleZones.appendChild(panel);
+            return { panel, canvas, zone, name, key, accuracy, feedback, visualization: new CircularVisualization(canvas) };
+        });
+    }
+
+    /**
+     * Split the training screen into a ring and tap zone per player, or
+     * back into the one
+     */
+    showBattleZones(players) {
+        this.battleZones.classList.toggle('hidden', !players);
+        [this.tapRing, this.tapTableDetails, this.tempoGraphPanel].forEach(element => {
+            element.classList.toggle('hidden', Boolean(players));
+        });
+
+        this.battlePanels.forEach((panel, index) => {
+            const player = players ? players[index] : null;
+            panel.panel.classList.toggle('hidden', !player);
+            if (!player) return;
+            panel.name.textContent = player.name;
+            panel.key.textContent = this.describeKey(player.key);
+            panel.zone.setAttribute('aria-label', `Tap for ${player.name}`);
+            panel.accuracy.textContent = '—';
+            panel.feedback.textContent = '';
+        });
+    }
+
+    /**
+     * Show the active difficulty's bands, and the tuning inputs for custom
+     */
+    renderDifficulty() {
+        const profile = this.scoringProfile;
+        const thresholds = profile.getThresholds();
+        const pid = profile.getPID();
+
+        this.difficultySelect.value = profile.preset;
+        this.tuningOptions.classList.toggle('hidden', !profile.isCustom());
+        this.difficultyBands.textContent = this.describeThresholds(thresholds);
+
+        Object.entries(this.thresholdInputs).forEach(([band, input]) => {
+            input.value = +(thresholds[band] * 100).toFixed(1);
+        });
+        Object.entries(this.pidInputs).forEach(([gain, input]) => {
+            input.value = pid[gain];
+        });
+        this.pidIntegralSelect.value = pid.integral;
+        this.pidLeakInput.value = pid.leak;
+        this.pidWindowInput.value = pid.window;
+        this.pidLeakInput.classList.toggle('hidden', pid.integral !== INTEGRAL_MODES.LEAKY);
+        this.pidWindowInput.classList.toggle('hidden', pid.integral !== INTEGRAL_MODES.WINDOWED);
+        this.pidIntegralUnit.textContent = {
+            [INTEGRAL_MODES.ACCUMULATE]: '',
+            [INTEGRAL_MODES.LEAKY]: 'per tap',
+            [INTEGRAL_MODES.WINDOWED]: 'taps',
+        }[pid.integral];
+    }
+
+    describeThresholds(thresholds) {
+        const percent = (value) => `${+(value * 100).toFixed(1)}%`;
+        return `Perfect within ${percent(thresholds.PERFECT)}, good within ${percent(thresholds.GOOD)}, acceptable within ${percent(thresholds.ACCEPTABLE)}`;
+    }
+
+    updateTuning() {
+        const number = (input, min, max, fallback) => {
+            const value = parseFloat(input.value);
+            return isNaN(value) ? fallback : Math.max(min, Math.min(max, value));
+        };
+        const current = this.scoringProfile.get();
+
+        // Each band is at least as wide as the one inside it
+        const perfect = number(this.thresholdInputs.PERFECT, 0.5, 20, current.thresholds.PERFECT * 100) / 100;
+        const good = Math.max(perfect, number(this.thresholdInputs.GOOD, 0.5, 30, current.thresholds.GOOD * 100) / 100);
+        const acceptable = Math.max(good, number(this.thresholdInputs.ACCEPTABLE, 0.5, 50, current.thresholds.ACCEPTABLE * 100) / 100);
+
+        this.scoringProfile.setCustom({
+            thresholds: { PERFECT: perfect, GOOD: good, ACCEPTABLE: acceptable },
+            pid: {
+                Kp: number(this.pidInputs.Kp, 0, 5, current.pid.Kp),
+                Ki: number(this.pidInputs.Ki, 0, 5, current.pid.Ki),
+                Kd: number(this.pidInputs.Kd, 0, 5, current.pid.Kd),
+                integral: this.pidIntegralSelect.value,
+                leak: number(this.pidLeakInput, 0.5, 0.99, current.pid.leak),
+                window: Math.round(number(this.pidWindowInput, 2, 64, current.pid.window)),
+            },
+        });
+        this.renderDifficulty();
+    }
+
+    renderAccessibility() {
+        const settings = this.accessibilityProfile.get();
+        this.announceCheckbox.checked = settings.announce;
+        this.hapticsCheckbox.checked = settings.haptics;
+        this.cuesSelect.value = settings.cues;
+
+        const canVibrate = 'vibrate' in navigator;
+        this.hapticsCheckbox.disabled = !canVibrate;
+        this.hapticsNote.classList.toggle('hidden', canVibrate);
+    }
+
+    updateAccessibility() {
+        this.accessibilityProfile.set({
+            announce: this.announceCheckbox.checked,
+            haptics: this.hapticsCheckbox.checked,
+            cues: this.cuesSelect.value,
+        });
+    }
+
     updateTargetBPM(bpm) {
         const interval = Math.round((60 / bpm) * 1000);
         this.targetIntervalDisplay.textContent = interval;
     }
 
+    showScreen(screen) {
+        this.screens.forEach(s => s.classList.toggle('hidden', s !== screen));
+    }
+
     showSetup() {
-        this.setupScreen.classList.remove('hidden');
-        this.trainingScreen.classList.add('hidden');
-        this.summaryScreen.classList.add('hidden');
+        this.showScreen(this.setupScreen);
     }
 
     showTraining() {
-        this.setupScreen.classList.add('hidden');
-        this.trainingScreen.classList.remove('hidden');
-        this.summaryScreen.classList.add('hidden');
+        this.showScreen(this.trainingScreen);
 
         // Focus tap zone for keyboard input
         this.tapZone.focus();
     }
 
     showSummary() {
-        this.setupScreen.classList.add('hidden');
-        this.trainingScreen.classList.add('hidden');
-        this.summaryScreen.classList.remove('hidden');
+        this.showScreen(this.summaryScreen);
     }
 
-    startSession() {
-        // Get settings
-        this.state.reset();
-        this.state.setTargetBPM(parseInt(this.targetBPMInput.value));
-        this.state.sessionDuration = parseInt(this.sessionDurationSelect.value);
+    showHistory() {
+        this.showScreen(this.historyScreen);
+        this.historyView.load();
+    }
 
-        // Mark session as ready (but not started until first tap)
-        this.state.isRunning = true;
+    /**
+     * The routine editor, with `routine` loaded into it if given
+     */
+    showRoutines(routine = null) {
+        this.showScreen(this.routineScreen);
+        if (routine) this.routineView.edit(routine);
+        this.routineView.load();
+    }
 
-        // Set up metronome but don't start it yet
-        this.metronome.setBPM(this.state.targetBPM);
+    showCalibration() {
+        this.showScreen(this.calibrationScreen);
+        this.calibrationResults.innerHTML = '';
+        this.calibrationSaveButton.classList.add('hidden');
+        this.calibrationProgress.textContent = `Tap along with ${CALIBRATION.beats} clicks using the input you want to calibrate`;
+        this.renderLatencyOffsets();
+    }
 
-        // Show training screen
-        this.showTraining();
-        this.updateUI();
+    startCalibration() {
+        this.calibration = new LatencyCalibration();
+        this.calibrationResults.innerHTML = '';
+        this.calibrationSaveButton.classList.add('hidden');
+        this.calibrationStartButton.disabled = true;
+
+        // A plain click: no accents to anticipate, no gaps, no ramp
+        this.metronome.setBPM(CALIBRATION.bpm);
+        this.metronome.setMeter(1);
+        this.metronome.setSubdivision(SUBDIVISIONS.NONE);
+        this.metronome.setGapClick({ mode: GAP_MODES.OFF, playBars: 1, muteBars: 1 });
+        this.metronome.setTempoController(null);
+        this.metronome.setCountIn(0);
+        this.metronome.start().catch(error => {
+            console.warn('Could not start the metronome', error);
+            this.stopCalibration();
+            this.calibrationProgress.textContent = `Could not start the metronome: ${error.message}`;
+        });
 
-        // Start UI update timer (to show "waiting for first tap" message)
-        this.updateTimer = setInterval(() => this.updateUI(), 100);
+        this.calibrationTapZone.focus();
+    }
+
+    updateCalibrationProgress(beat) {
+        const beatNumber = beat.index + 1;
+        this.calibrationProgress.textContent = beat.index < CALIBRATION.warmupBeats
+            ? `Get ready… ${beatNumber}`
+            : `Beat ${beatNumber} of ${CALIBRATION.beats}`;
+
+        if (beatNumber >= CALIBRATION.beats) {
+            // Leave half a beat for a late final tap
+            setTimeout(() => this.finishCalibration(), beat.interval / 2);
+        }
+    }
+
+    stopCalibration() {
+        if (!this.calibration) return;
+        this.metronome.stop();
+        this.calibration = null;
+        this.calibrationStartButton.disabled = false;
+    }
+
+    finishCalibration() {
+        if (!this.calibration) return;
+        this.pendingCalibration = this.calibration.getResults();
+        this.stopCalibration();
+
+        const sources = Object.keys(this.pendingCalibration);
+        this.calibrationResults.innerHTML = '';
+        if (sources.length === 0) {
+            this.calibrationProgress.textContent = `Not enough taps. Each input needs at least ${CALIBRATION.minTaps}.`;
+            return;
+        }
+
+        this.calibrationProgress.textContent = 'Measured offsets';
+        sources.forEach(source => {
+            const { offset, spread, taps } = this.pendingCalibration[source];
+            const row = document.createElement('li');
+            row.textContent = `${INPUT_SOURCE_LABELS[source]}: ${offset >= 0 ? '+' : ''}${offset.toFixed(0)}ms `
+                + `(±${(spread / 2).toFixed(0)}ms over ${taps} taps)`;
+            this.calibrationResults.appendChild(row);
+        });
+        this.calibrationSaveButton.classList.remove('hidden');
+    }
+
+    saveCalibration() {
+        Object.entries(this.pendingCalibration || {}).forEach(([source, result]) => {
+            this.latencyProfile.setOffset(source, Math.round(result.offset));
+        });
+        this.pendingCalibration = null;
+        this.calibrationSaveButton.classList.add('hidden');
+        this.calibrationResults.innerHTML = '';
+        this.calibrationProgress.textContent = 'Saved. Offsets are now taken off every tap.';
+        this.renderLatencyOffsets();
+    }
+
+    renderLatencyOffsets() {
+        this.calibrationOffsets.innerHTML = '';
+
+        Object.values(INPUT_SOURCES).forEach(source => {
+            const row = document.createElement('div');
+            row.className = 'flex justify-between items-center';
+
+            const label = document.createElement('span');
+            label.textContent = INPUT_SOURCE_LABELS[source];
+            row.appendChild(label);
+
+            const value = document.createElement('span');
+            value.className = 'text-charcoal font-medium';
+            const offset = this.latencyProfile.getOffset(source);
+            value.textContent = offset ? `${offset > 0 ? '+' : ''}${offset}ms ` : 'Not calibrated';
+
+            if (offset) {
+                const reset = document.createElement('button');
+                reset.className = 'text-slate-blue hover:text-slate-blue-dark transition-colors ml-3 font-normal';
+                reset.textContent = 'Reset';
+                reset.addEventListener('click', () => {
+                    this.latencyProfile.clear(source);
+                    this.renderLatencyOffsets();
+                });
+                value.appendChild(reset);
+            }
+
+            row.appendChild(value);
+            this.calibrationOffsets.appendChild(row);
+        });
+    }
+
+    getSettings() {
+        const voices = this.getVoiceSettings();
+        const players = this.getPlayerSettings();
+        if (players && voices) {
+            throw new Error('Tap battles play one voice each: turn independence off');
+        }
+        if (players && this.rampModeSelect.value !== 'off') {
+            throw new Error('Tap battles keep one tempo: turn the tempo ramp off');
+        }
+        return {
+            bpm: parseInt(this.targetBPMInput.value),
+            duration: parseInt(this.sessionDurationSelect.value),
+            endAfter: this.sessionEndSelect.value === SESSION_END.SECONDS ? null : {
+                unit: this.sessionEndSelect.value,
+                count: Math.max(1, parseInt(this.sessionCountInput.value) || 1),
+            },
+            countIn: parseInt(this.countInSelect.value),
+            scoringMode: this.scoringModeSelect.value,
+            meter: this.meterSelect.value,
+            pattern: voices ? null : this.getPatternSetting(),
+            voices,
+            players,
+            subdivision: parseInt(this.subdivisionSelect.value),
+            soundSet: this.clickSoundSelect.value,
+            gapClick: {
+                mode: this.gapModeSelect.value,
+                playBars: Math.max(1, parseInt(this.gapPlayBarsInput.value) || 1),
+                muteBars: Math.max(1, parseInt(this.gapMuteBarsInput.value) || 1),
+            },
+            ramp: this.rampModeSelect.value === 'off' ? null : {
+                stepBPM: Math.max(1, parseInt(this.rampStepInput.value) || 1),
+                every: Math.max(1, parseInt(this.rampEveryInput.value) || 1),
+                unit: this.rampUnitSelect.value,
+                maxBPM: Math.min(240, parseInt(this.rampMaxInput.value) || 240),
+                perfectStreak: Math.max(0, parseInt(this.rampStreakInput.value) || 0),
+            },
+            scoring: this.scoringProfile.get(),
+        };
+    }
+
+    startSession() {
+        let settings;
+        try {
+            settings = this.getSettings();
+        } catch (error) {
+            this.setupError.textContent = error.message;
+            this.setupError.classList.remove('hidden');
+            return;
+        }
+        this.beginSession(settings);
     }
 
     retrySession() {
         // Use same settings
-        const bpm = this.state.targetBPM;
-        const duration = this.state.sessionDuration;
+        this.beginSession(this.settings);
+    }
 
-        this.state.reset();
-        this.state.setTargetBPM(bpm);
-        this.state.sessionDuration = duration;
+    beginSession(settings) {
+        this.settings = settings;
+        const meter = METERS[settings.meter] || METERS['4/4'];
+
+        // In a tap battle the session's state only keeps time; each
+        // player's taps go to a state of their own
+        this.prepareState(this.state, settings, meter);
+        this.players = settings.players ? settings.players.map(player => {
+            const state = new TapTempoState();
+            this.prepareState(state, settings, meter, player.name);
+            return { ...player, state };
+        }) : null;
+        this.lastVoice = 0;
+        this.announcer.reset();
+        this.patternLegend.classList.toggle('hidden', !this.state.voices.some(voice => voice.pattern));
+        this.renderVoiceZones(settings.voices);
+        this.showBattleZones(settings.players);
+        this.updateMidiSelection();
 
         // Mark session as ready (but not started until first tap)
         this.state.isRunning = true;
+        this.wakeLock.acquire();
 
         // Set up metronome but don't start it yet
         this.metronome.setBPM(this.state.targetBPM);
+        this.metronome.setMeter(meter.beatsPerBar);
+        this.metronome.setSubdivision(settings.subdivision);
+        this.metronome.setSoundSet(settings.soundSet);
+        this.metronome.setGapClick(settings.gapClick);
+        this.metronome.setCountIn(settings.countIn || 0);
+        this.setupTempoRamp(settings, meter);
+        this.countInLabel = 'Listen for the count-in';
 
+        // Show training screen
         this.showTraining();
         this.updateUI();
 
+        // A count-in starts the click now; otherwise the first tap does
+        if (settings.countIn) this.metronome.start().catch(error => this.abandonSession(error));
+
         // Start UI update timer (to show "waiting for first tap" message)
         this.updateTimer = setInterval(() => this.updateUI(), 100);
     }
 
+    /**
+     * Reset `state` for a session with `settings`. `label` names its one
+     * voice after a tap-battle player.
+     */
+    prepareState(state, settings, meter, label = null) {
+        state.reset();
+        state.setTargetBPM(settings.bpm);
+        state.sessionDuration = settings.duration;
+        state.scoringMode = settings.scoringMode;
+        state.beatsPerBar = meter.beatsPerBar;
+        state.firstBeat = settings.countIn ? 0 : null;
+        if (settings.endAfter) this.setupSessionEnd(state, settings, meter);
+
+        const voices = this.getVoiceConfigs(settings, meter.beatsPerBar);
+        state.setVoices(label ? voices.map(voice => ({ ...voice, label })) : voices);
+        state.setScoringProfile(settings.scoring);
+    }
+
+    /**
+     * Lay out a session that ends after a count of bars or taps: the ring
+     * holds that many beats, and its length is what they take at the
+     * starting tempo
+     */
+    setupSessionEnd(state, settings, meter) {
+        const { unit, count } = settings.endAfter;
+        const beats = unit === SESSION_END.BARS ? count * meter.beatsPerBar : count;
+        state.expectedTotalTaps = beats;
+        state.sessionDuration = Math.round((beats * 60) / settings.bpm);
+    }
+
+    setupTempoRamp(settings, meter) {
+        if (!settings.ramp) {
+            this.tempoRamp = null;
+            this.metronome.setTempoController(null);
+            return;
+        }
+
+        this.tempoRamp = new TempoRamp({ startBPM: settings.bpm, ...settings.ramp });
+        if (!settings.endAfter) {
+            this.state.expectedTotalTaps = this.tempoRamp.estimateBeats(settings.duration, meter.beatsPerBar);
+        }
+        this.metronome.setTempoController((beat) => {
+            const bpm = this.tempoRamp.onBeat(beat);
+            if (bpm) this.state.setTargetBPM(bpm);
+            return bpm;
+        });
+    }
+
+    /**
+     * Back to setup, saving nothing, when the metronome can't start (the
+     * browser wouldn't resume audio). A routine in progress stops too.
+     */
+    abandonSession(error) {
+        console.warn('Could not start the metronome', error);
+        this.state.isRunning = false;
+        this.wakeLock.release();
+        this.metronome.stop();
+        if (this.sessionTimer) clearTimeout(this.sessionTimer);
+        if (this.updateTimer) clearInterval(this.updateTimer);
+
+        if (this.routineRun) {
+            clearInterval(this.routineRun.timer);
+            this.routineRun = null;
+            this.routineProgress.classList.add('hidden');
+        }
+
+        this.showSetup();
+        this.setupError.textContent = `Could not start the metronome: ${error.message}`;
+        this.setupError.classList.remove('hidden');
+    }
+
     endSession() {
         this.state.isRunning = false;
+        this.wakeLock.release();
 
         // Stop metronome
         this.metronome.stop();
@@ -556,161 +2536,849 @@ class TapTempoUI {
         if (this.sessionTimer) clearTimeout(this.sessionTimer);
         if (this.updateTimer) clearInterval(this.updateTimer);
 
+        if (this.players) {
+            this.endBattle();
+            return;
+        }
+
+        this.currentRecord = this.buildSessionRecord();
+        this.saveSession();
+
+        // In a routine the next exercise follows instead of the summary
+        if (this.routineRun) {
+            this.routineRun.records.push(this.currentRecord);
+            this.routineRun.index++;
+            if (this.routineRun.index < this.routineRun.routine.exercises.length) {
+                this.showRoutineBreak();
+            } else {
+                this.endRoutine();
+            }
+            return;
+        }
+
+        this.summaryVoice = 0;
+        this.showSharedNote(null);
+        this.summaryRoutineButton.classList.add('hidden');
+        this.summaryBattleButton.classList.add('hidden');
         this.generateSummary();
         this.showSummary();
+        if (this.accessibilityProfile.get().announce) {
+            this.announcer.say(describeTaps(this.getTapResults(), 'Session complete'));
+        }
+    }
+
+    /**
+     * Show a stored, imported or shared session on the summary screen.
+     * Shared ones are someone else's, so they can't be passed on or exported.
+     * `fromRoutine` and `fromBattle` offer a way back to their report.
+     */
+    showSessionRecord(record, { shared = false, fromRoutine = false, fromBattle = false } = {}) {
+        this.currentRecord = record;
+        this.showSharedNote(shared ? record : null);
+        this.summaryRoutineButton.classList.toggle('hidden', !fromRoutine);
+        this.summaryBattleButton.classList.toggle('hidden', !fromBattle);
+        this.settings = record.settings;
+        this.tempoRamp = null;
+        this.state.restore(record.session);
+        this.state.setVoices(this.getVoiceConfigs(record.settings, this.state.beatsPerBar));
+        this.state.setScoringProfile(record.settings.scoring);
+        this.summaryVoice = 0;
+
+        this.generateSummary();
+        this.showSummary();
+    }
+
+    /**
+     * Play a normalizeRoutine() result from its first exercise
+     */
+    startRoutine(routine) {
+        // A count-in starts the click from a timer, so make the audio context while this click counts
+        this.metronome.init();
+        this.routineRun = { routine, index: 0, records: [], timer: null };
+        this.showRoutineBreak();
+    }
+
+    /**
+     * Settings for exercise `index` of the routine playing: the exercise's
+     * tempo, length, meter and scoring over the setup form's click sound,
+     * subdivision, count-in and difficulty, with no pattern, voices,
+     * players, gaps or ramp
+     */
+    getRoutineSettings(index) {
+        const { routine } = this.routineRun;
+        const exercise = routine.exercises[index];
+        return {
+            bpm: exercise.bpm,
+            duration: exercise.duration,
+            endAfter: null,
+            countIn: parseInt(this.countInSelect.value),
+            scoringMode: exercise.scoringMode,
+            meter: exercise.meter,
+            pattern: null,
+            voices: null,
+            players: null,
+            subdivision: parseInt(this.subdivisionSelect.value),
+            soundSet: this.clickSoundSelect.value,
+            gapClick: { mode: 'off', playBars: 1, muteBars: 1 },
+            ramp: null,
+            scoring: this.scoringProfile.get(),
+            routine: { name: routine.name, exercise: index + 1, of: routine.exercises.length },
+        };
+    }
+
+    describeExercise(exercise) {
+        const mode = exercise.scoringMode === SCORING_MODES.PHASE ? 'phase' : 'tempo';
+        return `${exercise.bpm} BPM in ${exercise.meter} for ${exercise.duration} seconds, ${mode} scoring`;
+    }
+
+    describeResult(stats) {
+        return stats.scoredCount > 0
+            ? `${stats.accuracy.toFixed(1)}% accuracy, consistency ${stats.consistency !== null ? stats.consistency.toFixed(0) : '—'}`
+            : 'no scored taps';
+    }
+
+    /**
+     * Count down to the routine's next exercise, after the last one's rest
+     */
+    showRoutineBreak() {
+        const { routine, index, records } = this.routineRun;
+        let remaining = getCountdown(routine, index);
+
+        this.routineBreakRoutine.textContent = routine.name;
+        this.routineBreakTitle.textContent = index === 0
+            ? 'Get ready'
+            : `Exercise ${index + 1} of ${routine.exercises.length}`;
+        this.routineBreakLast.textContent = index === 0
+            ? `${routine.exercises.length} exercises, about ${formatRoutineLength(routine)}`
+            : `Exercise ${index}: ${this.describeResult(records[index - 1].stats)}`;
+        this.routineBreakNext.textContent = this.describeExercise(routine.exercises[index]);
+        this.routineBreakCountdown.textContent = remaining;
+        this.showScreen(this.routineBreakScreen);
+
+        this.routineRun.timer = setInterval(() => {
+            remaining--;
+            this.routineBreakCountdown.textContent = remaining;
+            if (remaining <= 0) this.beginRoutineExercise();
+        }, 1000);
     }
 
-    handleTap() {
+    beginRoutineExercise() {
+        const { index, routine } = this.routineRun;
+        clearInterval(this.routineRun.timer);
+        this.routineProgress.textContent = `${routine.name} · Exercise ${index + 1} of ${routine.exercises.length}`;
+        this.routineProgress.classList.remove('hidden');
+        this.beginSession(this.getRoutineSettings(index));
+    }
+
+    /**
+     * Stop the routine and report on the exercises played, or go back to
+     * the routines if none were
+     */
+    endRoutine() {
+        const { routine, records, timer } = this.routineRun;
+        clearInterval(timer);
+        this.routineRun = null;
+        this.routineProgress.classList.add('hidden');
+
+        if (records.length === 0) {
+            this.showRoutines();
+            return;
+        }
+        this.routineReport = { routine, records };
+        this.showRoutineReport();
+    }
+
+    showRoutineReport() {
+        const { routine, records } = this.routineReport;
+        const report = summarizeRoutine(records.map(record => record.stats));
+        const describe = (index) => (index === null
+            ? '—'
+            : `Exercise ${index + 1} (${records[index].stats.accuracy.toFixed(1)}%)`);
+
+        this.routineReportName.textContent = records.length < routine.exercises.length
+            ? `${routine.name} · ended after ${records.length} of ${routine.exercises.length} exercises`
+            : routine.name;
+        this.routineReportAccuracy.textContent = report.accuracy !== null ? report.accuracy.toFixed(1) + '%' : '—';
+        this.routineReportConsistency.textContent = report.consistency !== null ? report.consistency.toFixed(0) : '—';
+        this.routineReportCount.textContent = report.count;
+        this.routineReportBest.textContent = describe(report.best);
+        this.routineReportWorst.textContent = report.worst !== report.best ? describe(report.worst) : '—';
+
+        this.routineReportList.innerHTML = '';
+        records.forEach((record, index) => {
+            const { stats, settings } = record;
+            const row = document.createElement('tr');
+            row.className = 'border-t border-cream-border';
+            [
+                index + 1,
+                `${settings.bpm} BPM`,
+                settings.meter,
+                `${settings.duration}s`,
+                stats.scoredCount > 0 ? `${stats.accuracy.toFixed(1)}%` : '—',
+                stats.consistency !== null ? stats.consistency.toFixed(0) : '—',
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.className = 'py-2 px-2';
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const actions = document.createElement('td');
+            actions.className = 'py-2 px-2 text-right';
+            const view = document.createElement('button');
+            view.className = 'text-slate-blue hover:text-slate-blue-dark transition-colors';
+            view.textContent = 'View';
+            view.addEventListener('click', () => this.showSessionRecord(record, { fromRoutine: true }));
+            actions.appendChild(view);
+            row.appendChild(actions);
+
+            this.routineReportList.appendChild(row);
+        });
+
+        this.showScreen(this.routineReportScreen);
+    }
+
+    /**
+     * Turn each player's taps into a session record of their own and
+     * report on the battle. Battles aren't saved to history: it's the
+     * practice log of whoever owns the device.
+     */
+    endBattle() {
+        const savedAt = Date.now();
+        const records = this.players.map(player => {
+            player.state.startTime = this.state.startTime;
+            return {
+                savedAt,
+                settings: this.settings,
+                session: player.state.serialize(this.metronome.beats),
+                stats: player.state.analyze().summary,
+            };
+        });
+
+        this.battleReport = {
+            settings: this.settings,
+            records,
+            ensemble: measureEnsemble(this.players.map(player => player.state.analyze().taps)),
+        };
+        this.showBattleReport();
+        if (this.accessibilityProfile.get().announce) {
+            this.announcer.say(`Battle over. ${this.battleReportHeadline.textContent}`);
+        }
+    }
+
+    /**
+     * The players ranked head to head, and how tightly they played together
+     */
+    showBattleReport() {
+        const { settings, records, ensemble } = this.battleReport;
+        const names = settings.players.map(player => player.name);
+        const stats = records.map(record => record.stats);
+        const ranking = rankPlayers(stats);
+        const scored = ranking.filter(({ player }) => stats[player].scoredCount > 0);
+        const accuracy = (player) => `${stats[player].accuracy.toFixed(1)}%`;
+
+        // Winners share first place; the margin is to the best of the rest
+        const winners = scored.filter(({ place }) => place === 1).map(({ player }) => player);
+        const runnerUp = scored.find(({ place }) => place > 1);
+        if (winners.length === 0) {
+            this.battleReportHeadline.textContent = 'Nobody landed a scored tap';
+        } else if (winners.length > 1) {
+            this.battleReportHeadline.textContent = `${winners.map(player => names[player]).join(' and ')} tie for first`;
+        } else if (runnerUp) {
+            // In tenths of a percent, as shown and as ranked
+            const margin = Math.round(stats[winners[0]].accuracy * 10) - Math.round(stats[runnerUp.player].accuracy * 10);
+            this.battleReportHeadline.textContent = margin > 0
+                ? `${names[winners[0]]} wins by ${(margin / 10).toFixed(1)}%`
+                : `${names[winners[0]]} wins on consistency`;
+        } else {
+            this.battleReportHeadline.textContent = `${names[winners[0]]} wins`;
+        }
+
+        const consistencies = stats.map(summary => summary.consistency).filter(value => value !== null);
+        const steadiest = consistencies.length > 0 ? Math.max(...consistencies) : null;
+        this.battleReportAccurate.textContent = winners.length > 0
+            ? winners.map(player => `${names[player]} (${accuracy(player)})`).join(', ')
+            : '—';
+        this.battleReportConsistent.textContent = steadiest !== null
+            ? names.filter((name, player) => stats[player].consistency === steadiest).join(', ') + ` (${steadiest.toFixed(0)})`
+            : '—';
+
+        this.battleReportList.innerHTML = '';
+        ranking.forEach(({ player, place }) => {
+            const summary = stats[player];
+            const row = document.createElement('tr');
+            row.className = 'border-t border-cream-border';
+            [
+                place,
+                names[player],
+                summary.scoredCount > 0 ? accuracy(player) : '—',
+                summary.consistency !== null ? summary.consistency.toFixed(0) : '—',
+                summary.tapCount,
+                summary.missedBeats,
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.className = 'py-2 px-2';
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const actions = document.createElement('td');
+            actions.className = 'py-2 px-2 text-right';
+            const view = document.createElement('button');
+            view.className = 'text-slate-blue hover:text-slate-blue-dark transition-colors';
+            view.textContent = 'View';
+            view.setAttribute('aria-label', `View ${names[player]}'s session`);
+            view.addEventListener('click', () => this.showSessionRecord(records[player], { fromBattle: true }));
+            actions.appendChild(view);
+            row.appendChild(actions);
+
+            this.battleReportList.appendChild(row);
+        });
+
+        this.battleReportTightness.textContent = ensemble ? ensemble.tightness.toFixed(0) : '—';
+        this.battleReportSpread.textContent = ensemble ? `${ensemble.meanSpread.toFixed(0)}ms` : '—';
+        this.battleReportNotes.textContent = ensemble ? ensemble.notes : 0;
+
+        this.battleReportLeads.innerHTML = '';
+        if (!ensemble) {
+            const note = document.createElement('p');
+            note.className = 'text-center';
+            note.textContent = 'No note was played by more than one player';
+            this.battleReportLeads.appendChild(note);
+        } else {
+            names.forEach((name, player) => {
+                const row = document.createElement('div');
+                row.className = 'flex justify-between gap-4';
+                const label = document.createElement('span');
+                label.textContent = `${name}:`;
+                const value = document.createElement('span');
+                value.className = 'text-charcoal font-medium text-right';
+                value.textContent = describeLead(ensemble.leads[player]) || 'No notes shared';
+                row.append(label, value);
+                this.battleReportLeads.appendChild(row);
+            });
+        }
+
+        this.showScreen(this.battleReportScreen);
+    }
+
+    showSharedNote(record) {
+        this.summaryShared.classList.toggle('hidden', !record);
+        this.summaryExport.classList.toggle('hidden', !!record);
+        this.shareResultStatus.classList.add('hidden');
+        if (record) this.summarySharedDate.textContent = new Date(record.savedAt).toLocaleString();
+    }
+
+    exportSession(format) {
+        if (!this.currentRecord) return;
+        downloadSessionExport(this.currentRecord, format);
+    }
+
+    async importSession(file) {
+        this.importError.classList.add('hidden');
+        try {
+            const record = parseSessionJSON(await file.text());
+            this.showSessionRecord(record);
+        } catch (error) {
+            this.importError.textContent = `Could not import session: ${error.message}`;
+            this.importError.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Copy `url` to the clipboard, or show it in `status` to copy by hand
+     * where the clipboard can't be written
+     */
+    async copyLink(url, status) {
+        status.classList.remove('hidden');
+        try {
+            await navigator.clipboard.writeText(url);
+            status.textContent = 'Link copied';
+        } catch (error) {
+            status.textContent = url;
+        }
+    }
+
+    sharePreset() {
+        this.copyLink(buildPresetURL(location.origin, {
+            bpm: parseInt(this.targetBPMInput.value),
+            duration: parseInt(this.sessionDurationSelect.value),
+            scoringMode: this.scoringModeSelect.value,
+            meter: this.meterSelect.value,
+        }), this.sharePresetStatus);
+    }
+
+    async shareResult() {
+        if (!this.currentRecord) return;
+        let url;
+        try {
+            url = await buildResultURL(location.origin, this.currentRecord);
+        } catch (error) {
+            // Browsers without CompressionStream can't build the link
+            this.shareResultStatus.textContent = `Could not make a link: ${error.message}`;
+            this.shareResultStatus.classList.remove('hidden');
+            return;
+        }
+        this.copyLink(url, this.shareResultStatus);
+    }
+
+    /**
+     * Fill the setup form from parsePreset() output. Throws an Error with a
+     * readable message for a value the form doesn't offer.
+     */
+    applyPreset(preset) {
+        if (preset.bpm !== undefined) {
+            const min = parseInt(this.targetBPMInput.min);
+            const max = parseInt(this.targetBPMInput.max);
+            if (preset.bpm < min || preset.bpm > max) {
+                throw new Error(`bpm should be between ${min} and ${max}`);
+            }
+            this.targetBPMInput.value = preset.bpm;
+            this.updateTargetBPM(preset.bpm);
+        }
+
+        const selects = {
+            duration: this.sessionDurationSelect,
+            scoringMode: this.scoringModeSelect,
+            meter: this.meterSelect,
+        };
+        Object.entries(selects).forEach(([key, select]) => {
+            if (preset[key] === undefined) return;
+            const value = String(preset[key]);
+            if (![...select.options].some(option => option.value === value)) {
+                throw new Error(`${PRESET_PARAMS[key]} can't be "${value}"`);
+            }
+            select.value = value;
+            select.dispatchEvent(new Event('change'));
+        });
+    }
+
+    /**
+     * Act on the link the page was opened with: a preset link starts
+     * training with its settings, a result link shows that session and a
+     * routine link opens that routine in the editor
+     */
+    async openLink({ pathname, search, hash }) {
+        try {
+            if (pathname === SHARE_LINK.resultPath && hash.length > 1) {
+                this.showSessionRecord(await decodeShareCode(hash.slice(1)), { shared: true });
+            } else if (pathname === SHARE_LINK.routinePath) {
+                this.showRoutines(normalizeRoutine(parseRoutineLink(search), this.routineView.choices));
+            } else if (pathname === SHARE_LINK.presetPath) {
+                const preset = parsePreset(search);
+                if (preset) this.applyPreset(preset);
+                this.startSession();
+            }
+        } catch (error) {
+            this.setupError.textContent = `Could not open this link: ${error.message}`;
+            this.setupError.classList.remove('hidden');
+        }
+    }
+
+    buildSessionRecord() {
+        return {
+            savedAt: Date.now(),
+            settings: this.settings,
+            session: this.state.serialize(this.metronome.beats),
+            stats: this.state.analyze().summary,
+        };
+    }
+
+    saveSession() {
+        // Nothing worth keeping before the first scored interval
+        if (this.state.getTapCount() < 2 || !this.sessionStore.isAvailable()) return;
+
+        this.sessionStore.save(this.currentRecord).catch(error => {
+            console.warn('Could not save session to history', error);
+        });
+    }
+
+    /**
+     * `source` is one of INPUT_SOURCES. `timestamp` is on the
+     * performance.now() clock, the same clock as the metronome's beat
+     * timeline. Inputs with their own event time (MIDI, microphone onsets)
+     * pass it in; pointer and keyboard taps are stamped on arrival. `voice`
+     * is the index of the independence-mode voice the tap plays, or of the
+     * player in a tap battle.
+     */
+    handleTap(source, timestamp = performance.now(), voice = 0) {
+        // Calibration needs the raw, uncorrected time
+        if (this.calibration) {
+            this.calibration.addTap(source, timestamp, this.metronome.getNearestBeat(timestamp));
+            this.calibrationTapZone.classList.add('active');
+            setTimeout(() => this.calibrationTapZone.classList.remove('active'), 100);
+            return;
+        }
+
         if (!this.state.isRunning) return;
 
-        const timestamp = Date.now();
+        // One microphone can't tell tap-battle players apart
+        if (this.players && source === INPUT_SOURCES.MIC) return;
 
-        // If this is the first tap, start the session timer and metronome
-        if (!this.state.hasStarted) {
+        // Remove this source's measured latency before anything is scored
+        timestamp -= this.latencyProfile.getOffset(source);
+
+        // Without a count-in the first tap starts the session timer and metronome
+        const starting = !this.state.hasStarted && !this.settings.countIn;
+        if (starting) {
             this.state.hasStarted = true;
             this.state.startTime = timestamp;
 
             // Start metronome
-            this.metronome.start();
+            this.metronome.start().catch(error => this.abandonSession(error));
 
             // Start session timer
-            this.sessionTimer = setTimeout(() => this.endSession(), this.state.sessionDuration * 1000);
+            if (!this.settings.endAfter) {
+                this.sessionTimer = setTimeout(() => this.endSession(), this.state.sessionDuration * 1000);
+            }
+        }
+
+        // Taps along with the count-in aren't scored (one nearest the one is),
+        // and neither are taps past the last bar while the session winds up.
+        // The tap that starts the metronome comes before its first click, so
+        // it has no beat to be early or late against.
+        const beat = starting ? null : this.metronome.getNearestBeat(timestamp);
+        if (this.settings.countIn && (!beat || beat.countIn)) return;
+        const end = this.settings.endAfter;
+        if (end && end.unit === SESSION_END.BARS && beat && beat.index >= end.count * this.state.beatsPerBar) return;
+
+        // In a battle ended by taps, players who have made theirs wait for the rest
+        const { state, voice: index } = this.routeTap(voice);
+        if (end && end.unit === SESSION_END.TAPS && state.getTapCount() >= end.count) return;
+
+        // With a rhythm pattern each tap is scored against the nearest note of the pattern
+        const pattern = state.voices[index].pattern;
+        state.addTap(timestamp, pattern ? findNearestOnset(pattern, beat, timestamp) : beat, index);
+        this.lastVoice = voice;
+
+        if (this.tempoRamp) {
+            const result = state.getLastTapResult(index);
+            if (result.category !== null) {
+                this.tempoRamp.recordTap(result.category === 'perfect');
+            }
         }
 
-        this.state.addTap(timestamp);
+        // Early/late cues for players who can't watch the screen
+        const cues = this.accessibilityProfile.get().cues;
+        const cue = cues !== FEEDBACK_CUES.OFF ? getCue(state.getLastTapResult(index)) : null;
+        if (cue) this.feedbackCues.play(cue, cues);
 
-        // Visual feedback
-        this.tapZone.classList.add('active');
-        setTimeout(() => this.tapZone.classList.remove('active'), 100);
+        // Visual feedback, on the player's own zone in a battle
+        const zone = this.players ? this.battlePanels[voice].zone : this.tapZone;
+        zone.classList.add('active');
+        setTimeout(() => zone.classList.remove('active'), 100);
 
         // Update immediately
         this.updateUI();
+
+        if (end && end.unit === SESSION_END.TAPS && this.getStates().every(other => other.getTapCount() >= end.count)) {
+            this.endSession();
+        }
     }
 
     updateUI() {
         if (!this.state.isRunning) return;
 
-        // If session hasn't started yet (waiting for first tap)
+        this.currentTempo.textContent = Math.round(this.state.targetBPM);
+
+        // If session hasn't started yet (waiting for first tap, or counting in)
         if (!this.state.hasStarted) {
             this.accuracy.textContent = '—';
-            this.tapFeedback.textContent = 'Make your first tap to start the metronome';
-            this.tapFeedback.style.color = COLORS.NEUTRAL;
+            this.tapFeedback.textContent = this.settings.countIn
+                ? this.countInLabel
+                : 'Make your first tap to start the metronome';
+            this.tapFeedback.style.color = themeColorVar(COLORS.NEUTRAL);
+
+            // Clear the previous session's taps
+            this.visualization.draw(this.state);
+            this.tempoGraph.draw(this.state);
+            this.tapTable.render(this.state);
+            this.updateBattleUI();
             return;
         }
 
-        // Update accuracy
-        if (this.state.runningAccuracy > 0) {
-            this.accuracy.textContent = this.state.runningAccuracy.toFixed(1) + '%';
+        // Update accuracy, over every voice's (or player's) scored taps
+        const summaries = this.getStates().flatMap(state => state.voices.map((voice, index) => state.analyze(index).summary));
+        const scoredCount = summaries.reduce((count, summary) => count + summary.scoredCount, 0);
+        if (scoredCount > 0) {
+            const accuracy = summaries.reduce((sum, summary) => sum + summary.accuracy * summary.scoredCount, 0) / scoredCount;
+            this.accuracy.textContent = accuracy.toFixed(1) + '%';
         } else {
             this.accuracy.textContent = '—';
         }
 
-        // Update tap feedback
-        if (this.state.tapIntervals.length > 0) {
-            // Update tap feedback
-            const lastAccuracy = this.state.calculateAccuracy();
-            if (lastAccuracy !== null) {
-                const lastInterval = this.state.getLastInterval();
-                const diff = lastInterval - this.state.targetInterval;
-                const diffMs = Math.abs(diff).toFixed(0);
-
-                if (Math.abs(diff) / this.state.targetInterval < THRESHOLDS.PERFECT) {
-                    this.tapFeedback.textContent = `Perfect! (${lastAccuracy.toFixed(1)}%)`;
-                    this.tapFeedback.style.color = COLORS.PERFECT;
-                } else if (diff < 0) {
-                    this.tapFeedback.textContent = `${diffMs}ms early`;
-                    this.tapFeedback.style.color = COLORS.GOOD;
-                } else {
-                    this.tapFeedback.textContent = `${diffMs}ms late`;
-                    this.tapFeedback.style.color = COLORS.GOOD;
-                }
-            }
+        // Update tap feedback for the voice (or player) just played
+        const { state, voice: index } = this.routeTap(this.lastVoice);
+        const voice = state.voices[index];
+        const last = state.getLastTapResult(index);
+        const feedback = last ? this.describeTap(last, voice) : null;
+        if (!last) {
+            // Counted in, nothing tapped yet
+            this.tapFeedback.textContent = 'Go!';
+            this.tapFeedback.style.color = themeColorVar(COLORS.NEUTRAL);
+        } else if (feedback) {
+            this.tapFeedback.textContent = (voice.label ? `${voice.label}: ` : '') + feedback.text;
+            this.tapFeedback.style.color = themeColorVar(feedback.color);
         }
 
-        // Update PID values
-        const pid = this.state.calculatePID();
+        // Update PID values (unscored taps leave them as they were)
+        const lastScored = state.analyze(index).taps.filter(tap => tap.pid).pop();
+        const pid = lastScored ? lastScored.pid : { p: 0, i: 0, d: 0, total: 0 };
         this.pidP.textContent = pid.p.toFixed(1);
         this.pidI.textContent = pid.i.toFixed(1);
         this.pidD.textContent = pid.d.toFixed(1);
 
         // Update visualization
         this.visualization.draw(this.state);
+        this.tempoGraph.draw(this.state);
+        this.tapTable.render(this.state);
+        this.updateBattleUI();
+    }
+
+    /**
+     * Feedback for a tap result as { text, color } with `color` one of
+     * COLORS, or null for a first tap there's nothing to say about yet
+     */
+    describeTap(result, voice) {
+        if (result.event !== null) {
+            return {
+                text: result.event === TAP_EVENTS.DOUBLE ? 'Double hit, not scored' : 'Extra tap, not scored',
+                color: COLORS.OFF,
+            };
+        }
+        if (result.error === null) return null;
+
+        const unit = voice.pattern ? 'note' : 'beat';
+        const missed = result.missedBefore > 0
+            ? ` · missed ${result.missedBefore === 1 ? `a ${unit}` : `${result.missedBefore} ${unit}s`}`
+            : '';
+        if (result.category === 'perfect') {
+            return { text: `Perfect! (${result.accuracy.toFixed(1)}%)${missed}`, color: COLORS.PERFECT };
+        }
+        return {
+            text: `${Math.abs(result.error).toFixed(0)}ms ${result.error < 0 ? 'early' : 'late'}${missed}`,
+            color: result.errorPercent < this.state.thresholds.ACCEPTABLE ? COLORS.GOOD : COLORS.OFF,
+        };
+    }
+
+    /**
+     * Each tap-battle player's ring, accuracy and latest tap
+     */
+    updateBattleUI() {
+        if (!this.players) return;
+
+        this.players.forEach((player, index) => {
+            const panel = this.battlePanels[index];
+            const { taps, summary } = player.state.analyze();
+            panel.accuracy.textContent = summary.scoredCount > 0 ? `${summary.accuracy.toFixed(1)}%` : '—';
+            panel.canvas.setAttribute('aria-label', `${player.name}: ${describeRing(taps)}`);
+            panel.visualization.draw(player.state);
+
+            const feedback = taps.length > 0 ? this.describeTap(taps[taps.length - 1], player.state.voices[0]) : null;
+            if (feedback) {
+                panel.feedback.textContent = feedback.text;
+                panel.feedback.style.color = themeColorVar(feedback.color);
+            }
+        });
+    }
+
+    describeSection(stats) {
+        if (!stats) return 'No taps';
+        const direction = stats.meanOffset < 0 ? 'early' : 'late';
+        return `${stats.accuracy.toFixed(1)}% · avg ${stats.meanAbsOffset.toFixed(0)}ms off, ${Math.abs(stats.meanOffset).toFixed(0)}ms ${direction}`;
+    }
+
+    generateGapSummary() {
+        const gapMode = this.settings.gapClick.mode;
+        this.summaryGap.classList.toggle('hidden', gapMode === GAP_MODES.OFF);
+        if (gapMode === GAP_MODES.OFF) return;
+
+        const { audible, silent } = this.state.analyze(this.summaryVoice).summary;
+        this.summaryGapAudible.textContent = this.describeSection(audible);
+        this.summaryGapSilent.textContent = this.describeSection(silent);
+
+        if (audible && silent) {
+            // Extra distance from the grid once the click drops out
+            const drift = silent.meanAbsOffset - audible.meanAbsOffset;
+            this.summaryGapDrift.textContent = drift > 0
+                ? `${drift.toFixed(0)}ms further off in the gaps`
+                : 'Held time as well as with the click';
+        } else {
+            this.summaryGapDrift.textContent = '—';
+        }
+    }
+
+    generateRampSummary() {
+        this.summaryRampRow.classList.toggle('hidden', !this.settings.ramp);
+        if (!this.settings.ramp) return;
+
+        // Held means a full bar of taps within the GOOD band at one tempo
+        const held = this.state.analyze(this.summaryVoice).summary.highestHeldBPM;
+        const reached = Math.max(this.settings.bpm, ...this.state.voices[this.summaryVoice].tapBPMs);
+        this.summaryRamp.textContent = held
+            ? `${Math.round(held)} BPM (from ${this.settings.bpm}, reached ${Math.round(reached)})`
+            : 'None';
+    }
+
+    generateBreakdown(stats) {
+        const { taps } = this.state.analyze(this.summaryVoice);
+        const errors = taps.filter(tap => tap.error !== null).map(tap => tap.error);
+        this.summaryHistogram.draw(buildHistogram(errors), this.state.thresholds, stats.meanTarget);
+
+        const ms = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)}ms`;
+        const errorStats = stats.errorStats;
+        this.summaryErrorMean.textContent = errorStats ? ms(errorStats.mean) : '—';
+        this.summaryErrorMedian.textContent = errorStats ? ms(errorStats.median) : '—';
+        this.summaryErrorStdDev.textContent = errorStats ? `${errorStats.stdDev.toFixed(1)}ms` : '—';
+        this.summaryErrorOuter.textContent = errorStats ? `${ms(errorStats.p5)} to ${ms(errorStats.p95)}` : '—';
+        this.summaryErrorInner.textContent = errorStats ? `${ms(errorStats.p25)} to ${ms(errorStats.p75)}` : '—';
+        this.summaryOutliers.textContent = errorStats ? errorStats.outliers : '—';
+
+        if (stats.driftPerMinute === null) {
+            this.summaryDrift.textContent = '—';
+        } else {
+            const direction = stats.driftPerMinute < 0 ? 'slowing' : 'speeding up';
+            this.summaryDrift.textContent = Math.abs(stats.driftPerMinute) < 0.5
+                ? 'Steady'
+                : `${Math.abs(stats.driftPerMinute).toFixed(1)} BPM/min ${direction}`;
+        }
+
+        this.summaryDoubleTaps.textContent = stats.doubleTaps;
+        this.summaryMissedBeats.textContent = stats.missedBeats;
+        this.summaryExtraTaps.textContent = stats.extraTaps;
+    }
+
+    /**
+     * Each voice's results and how closely each pair lined up, and the
+     * choice of voice the rest of the summary describes
+     */
+    generateVoiceSummary() {
+        const voices = this.settings.voices;
+        this.summaryVoices.classList.toggle('hidden', !voices);
+        if (!voices) return;
+
+        this.summaryVoiceList.innerHTML = '';
+        const addRow = (name, text) => {
+            const row = document.createElement('div');
+            row.className = 'flex justify-between gap-4';
+            const label = document.createElement('span');
+            label.textContent = name;
+            const value = document.createElement('span');
+            value.className = 'text-charcoal font-medium text-right';
+            value.textContent = text;
+            row.append(label, value);
+            this.summaryVoiceList.appendChild(row);
+        };
+
+        voices.forEach((voice, index) => {
+            const stats = this.state.analyze(index).summary;
+            addRow(`${voice.label}:`, stats.scoredCount > 0
+                ? `${stats.accuracy.toFixed(1)}% · ${stats.tapCount} taps · ${stats.missedBeats} missed`
+                : `${stats.tapCount} taps`);
+        });
+
+        this.state.compareVoices().forEach(({ a, b, shared, meanGap, meanAbsGap }) => {
+            const lean = Math.abs(meanGap) < 1
+                ? 'neither ahead'
+                : `${voices[meanGap > 0 ? b : a].label} ${Math.abs(meanGap).toFixed(0)}ms behind`;
+            addRow(`${voices[a].label} with ${voices[b].label}:`,
+                `${meanAbsGap.toFixed(0)}ms apart over ${shared} shared notes, ${lean}`);
+        });
+
+        this.summaryVoiceSelect.innerHTML = '';
+        voices.forEach((voice, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = voice.label;
+            this.summaryVoiceSelect.appendChild(option);
+        });
+        this.summaryVoiceSelect.value = this.summaryVoice;
     }
 
     generateSummary() {
+        const stats = this.state.analyze(this.summaryVoice).summary;
+        this.summaryVisualization.draw(this.state);
+        this.summaryTapTable.render(this.state);
+        this.summaryTempoGraph.draw(this.state, this.summaryVoice);
+        this.generateVoiceSummary();
+
         // Basic stats
-        this.summaryTaps.textContent = this.state.taps.length;
-        this.summaryAccuracy.textContent = this.state.runningAccuracy.toFixed(1) + '%';
+        this.summaryTaps.textContent = stats.tapCount;
+        this.summaryAccuracy.textContent = stats.accuracy.toFixed(1) + '%';
+
+        const isPhase = this.state.scoringMode === SCORING_MODES.PHASE;
+        this.summaryMode.textContent = isPhase ? 'Phase (against the click)' : 'Tempo (tap intervals)';
+
+        // Sessions from before difficulty settings were scored at Standard
+        const scoring = this.settings.scoring;
+        const preset = scoring ? DIFFICULTY_PRESETS[scoring.preset] : DIFFICULTY_PRESETS.standard;
+        this.summaryDifficulty.textContent = preset ? preset.label : 'Custom tuning';
+        this.summaryDifficulty.title = this.describeThresholds(this.state.thresholds);
+
+        const pattern = this.settings.voices ? this.settings.voices[this.summaryVoice].pattern : this.settings.pattern;
+        this.summaryPattern.textContent = pattern
+            ? (RHYTHM_PATTERNS[pattern.id] ? RHYTHM_PATTERNS[pattern.id].label : pattern.steps)
+            : 'Every beat';
 
         // Consistency score (0-100 based on standard deviation)
-        if (this.state.tapIntervals.length > 1) {
-            const mean = this.state.tapIntervals.reduce((a, b) => a + b, 0) / this.state.tapIntervals.length;
-            const variance = this.state.tapIntervals.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / this.state.tapIntervals.length;
-            const stdDev = Math.sqrt(variance);
-            const consistency = Math.max(0, 100 - (stdDev / this.state.targetInterval * 100));
-            this.summaryConsistency.textContent = consistency.toFixed(0);
-        } else {
-            this.summaryConsistency.textContent = '—';
-        }
+        this.summaryConsistency.textContent = stats.consistency !== null ? stats.consistency.toFixed(0) : '—';
 
         // Tendency analysis
-        const avgError = this.state.tapIntervals.length > 0
-            ? this.state.tapIntervals.reduce((sum, interval) => sum + (interval - this.state.targetInterval), 0) / this.state.tapIntervals.length
-            : 0;
+        const early = isPhase ? 'ahead of the click' : 'early';
+        const late = isPhase ? 'behind the click' : 'late';
 
-        if (Math.abs(avgError) < this.state.targetInterval * 0.02) {
+        if (stats.tendency === 'balanced') {
             this.summaryTendency.textContent = 'Perfectly balanced';
-        } else if (avgError < 0) {
-            this.summaryTendency.textContent = `Rushing (avg ${Math.abs(avgError).toFixed(0)}ms early)`;
+        } else if (stats.tendency === 'rushing') {
+            this.summaryTendency.textContent = `Rushing (avg ${Math.abs(stats.avgError).toFixed(0)}ms ${early})`;
         } else {
-            this.summaryTendency.textContent = `Dragging (avg ${avgError.toFixed(0)}ms late)`;
+            this.summaryTendency.textContent = `Dragging (avg ${stats.avgError.toFixed(0)}ms ${late})`;
         }
 
         // Stability (looking at derivative)
-        const tempoChanges = [];
-        for (let i = 1; i < this.state.tapIntervals.length; i++) {
-            tempoChanges.push(Math.abs(this.state.tapIntervals[i] - this.state.tapIntervals[i - 1]));
-        }
-        const avgChange = tempoChanges.length > 0
-            ? tempoChanges.reduce((a, b) => a + b, 0) / tempoChanges.length
-            : 0;
-
-        if (avgChange < this.state.targetInterval * 0.05) {
+        if (stats.stability === 'very-stable') {
             this.summaryStability.textContent = 'Very stable';
-        } else if (avgChange < this.state.targetInterval * 0.1) {
+        } else if (stats.stability === 'moderately-stable') {
             this.summaryStability.textContent = 'Moderately stable';
         } else {
             this.summaryStability.textContent = 'Inconsistent tempo';
         }
 
-        // Best accuracy run (consecutive perfect taps)
-        let bestRun = 0;
-        let currentRun = 0;
-        this.state.tapIntervals.forEach(interval => {
-            const error = Math.abs(interval - this.state.targetInterval);
-            const errorPercent = error / this.state.targetInterval;
-            if (errorPercent < THRESHOLDS.PERFECT) {
-                currentRun++;
-                bestRun = Math.max(bestRun, currentRun);
-            } else {
-                currentRun = 0;
-            }
+        this.generateGapSummary();
+        this.generateRampSummary();
+        this.generateBreakdown(stats);
+
+        this.summaryBestRun.textContent = stats.bestRun > 0 ? `${stats.bestRun} perfect taps` : 'None';
+
+        this.generateCoaching();
+    }
+
+    /**
+     * Verdict, advice and the suggested next session from coachSession()
+     */
+    generateCoaching() {
+        const coaching = coachSession(this.state.analyze(this.summaryVoice), this.settings);
+        this.suggestion = coaching.suggestion;
+        this.summaryVerdict.textContent = coaching.verdict;
+
+        this.summaryAdvice.innerHTML = '';
+        coaching.advice.forEach(text => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            this.summaryAdvice.appendChild(item);
         });
-        this.summaryBestRun.textContent = bestRun > 0 ? `${bestRun} perfect taps` : 'None';
 
-        // Verdict
-        if (this.state.runningAccuracy >= 98) {
-            this.summaryVerdict.textContent = 'Outstanding! You have metronome-like precision.';
-        } else if (this.state.runningAccuracy >= 95) {
-            this.summaryVerdict.textContent = 'Excellent work! Very consistent timing.';
-        } else if (this.state.runningAccuracy >= 90) {
-            this.summaryVerdict.textContent = 'Good job! Keep practicing for even better consistency.';
-        } else if (this.state.runningAccuracy >= 80) {
-            this.summaryVerdict.textContent = 'Not bad! Focus on maintaining steady tempo.';
-        } else {
-            this.summaryVerdict.textContent = 'Keep practicing! Consistency takes time to develop.';
+        this.summarySuggestion.classList.toggle('hidden', !this.suggestion);
+        if (this.suggestion) {
+            this.summarySuggestionButton.textContent = this.suggestion.label;
+            this.summarySuggestionReason.textContent = this.suggestion.reason;
         }
     }
+
+    startSuggestion() {
+        if (!this.suggestion) return;
+        this.beginSession({ ...this.settings, ...this.suggestion.settings });
+    }
 }
 
 // ========================================
@@ -719,8 +3387,20 @@ class TapTempoUI {
 
 let app;
 
+/**
+ * Offline support: the service worker main.py writes precaches the site
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('/service-worker.js').catch(error => {
+        console.warn('Could not register the service worker', error);
+    });
+}
+
 function init() {
     app = new TapTempoUI();
+    app.openLink(window.location);
+    registerServiceWorker();
     console.log('BPM Clock initialized');
 }
 
@@ -0,0 +1,656 @@
+/**
+ * BPM Clock - Tempo Analysis
+ * Pure, DOM-free scoring engine: tap times and settings in, deterministic
+ * per-tap and whole-session metrics out. Runs in the page and under Node.
+ */
+
+// ========================================
+// Constants and Configuration
+// ========================================
+
+const INTEGRAL_MODES = {
+    ACCUMULATE: 'accumulate',   // Sum of every error since the tempo last changed
+    LEAKY: 'leaky',             // Older errors fade by `leak` per tap
+    WINDOWED: 'windowed',       // Sum of the last `window` errors only
+};
+
+const PID_CONFIG = {
+    Kp: 1.0,    // Proportional gain - immediate error response
+    Ki: 0.3,    // Integral gain - accumulated error (rushing/dragging)
+    Kd: 0.5,    // Derivative gain - rate of change (accelerating/decelerating)
+    integral: INTEGRAL_MODES.ACCUMULATE,
+    leak: 0.9,  // Leaky mode: share of the integral kept per tap
+    window: 8,  // Windowed mode: taps summed
+};
+
+const THRESHOLDS = {
+    PERFECT: 0.02,      // Within 2% is perfect
+    GOOD: 0.05,         // Within 5% is good
+    ACCEPTABLE: 0.10,   // Within 10% is acceptable
+};
+
+const SCORING_MODES = {
+    INTERVAL: 'interval',   // Each tap interval against the target interval
+    PHASE: 'phase',         // Each tap's offset from the nearest metronome beat
+};
+
+// Taps that don't land on a beat of their own
+const TAP_EVENTS = {
+    DOUBLE: 'double',   // Accidental second hit right after a tap
+    EXTRA: 'extra',     // Another tap on a beat that already has one
+};
+
+const DOUBLE_HIT_WINDOW = 0.25; // Extra taps closer than this share of a beat count as double hits
+const VOICE_MATCH_WINDOW = 0.05; // Notes of two voices closer than this share of a beat are played together
+
+// ========================================
+// Helpers
+// ========================================
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+function standardDeviation(values) {
+    const avg = mean(values);
+    return Math.sqrt(mean(values.map(value => Math.pow(value - avg, 2))));
+}
+
+/**
+ * Linearly interpolated quantile (0-1) of already sorted values
+ */
+function quantile(sorted, q) {
+    if (sorted.length === 0) return null;
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Least-squares slope of y over x, or null with fewer than three points
+ */
+function linearSlope(points) {
+    if (points.length < 3) return null;
+    const meanX = mean(points.map(([x]) => x));
+    const meanY = mean(points.map(([, y]) => y));
+    const covariance = points.reduce((sum, [x, y]) => sum + (x - meanX) * (y - meanY), 0);
+    const variance = points.reduce((sum, [x]) => sum + Math.pow(x - meanX, 2), 0);
+    return variance > 0 ? covariance / variance : null;
+}
+
+/**
+ * Beat in `beats` ({ timeMs, ... }, in time order) closest to `timeMs`, or null
+ */
+function findNearestBeat(beats, timeMs) {
+    let nearest = null;
+    for (const beat of beats) {
+        if (nearest && Math.abs(beat.timeMs - timeMs) > Math.abs(nearest.timeMs - timeMs)) break;
+        nearest = beat;
+    }
+    return nearest;
+}
+
+/**
+ * Integral term input after adding `error`. `errors` holds the scored errors
+ * since the tempo last changed, latest last.
+ */
+function integrateError(integral, error, errors, pidConfig) {
+    if (pidConfig.integral === INTEGRAL_MODES.LEAKY) {
+        return integral * pidConfig.leak + error;
+    }
+    if (pidConfig.integral === INTEGRAL_MODES.WINDOWED) {
+        return errors.slice(-pidConfig.window).reduce((a, b) => a + b, 0);
+    }
+    return integral + error;
+}
+
+/**
+ * Accuracy band of a fractional error: 'perfect', 'good' or 'off'
+ */
+function categorizeError(errorPercent, thresholds = THRESHOLDS) {
+    if (errorPercent < thresholds.PERFECT) return 'perfect';
+    if (errorPercent < thresholds.GOOD) return 'good';
+    return 'off';
+}
+
+// ========================================
+// Per-Tap Analysis
+// ========================================
+
+/**
+ * Fill in per-tap context the caller didn't record: target interval, tempo,
+ * silent-bar flag, offset from the nearest beat and that beat's index.
+ */
+function resolveTapContext(input) {
+    const defaultTarget = (60 / input.bpm) * 1000;
+    const beats = input.beats || [];
+
+    return input.taps.map((time, index) => {
+        const beat = beats.length > 0 ? findNearestBeat(beats, time) : null;
+        const target = (input.targets && input.targets[index]) || (beat && beat.interval) || defaultTarget;
+
+        let offset = null;
+        if (input.offsets && input.offsets[index] !== undefined) {
+            offset = input.offsets[index];
+        } else if (beat) {
+            offset = time - beat.timeMs;
+        }
+
+        let beatIndex = null;
+        if (input.beatIndexes && input.beatIndexes[index] !== undefined) {
+            beatIndex = input.beatIndexes[index];
+        } else if (beat && beat.index !== undefined) {
+            beatIndex = beat.index;
+        }
+
+        return {
+            time,
+            target,
+            bpm: (input.tapBPMs && input.tapBPMs[index]) || (beat && beat.bpm) || 60000 / target,
+            muted: input.muted ? Boolean(input.muted[index]) : Boolean(beat && beat.muted),
+            offset,
+            beatIndex,
+        };
+    });
+}
+
+/**
+ * Place each tap on the grid of expected onsets: beats, or a rhythm
+ * pattern's hits. `beats` is how many onsets on from the last counted tap
+ * this one lands: 1 normally, more after missed ones, 0 for a tap on an
+ * onset that's already taken. Uses the recorded onset index when both taps
+ * have one, otherwise rounds the gap to whole beats.
+ *
+ * `span` is the time since the last counted tap and `expectedSpan` the time
+ * between their onsets; `beatInterval` is the span rescaled to one beat at
+ * the pace the player actually tapped.
+ *
+ * With `firstBeat`, the onset the session starts on, onsets before the
+ * first tap count as missed; without it the first tap starts the count.
+ */
+function alignTaps(context, firstBeat = null) {
+    let lastCounted = null;
+    let slot = 0;
+    const unaligned = { span: null, expectedSpan: null, beatInterval: null };
+
+    return context.map((tap, index) => {
+        if (lastCounted === null) {
+            lastCounted = tap;
+            const missed = firstBeat !== null && tap.beatIndex !== null ? Math.max(0, tap.beatIndex - firstBeat) : 0;
+            slot = missed;
+            return { slot, beats: 1, missedBefore: missed, event: null, ...unaligned };
+        }
+
+        const span = tap.time - lastCounted.time;
+        const beats = tap.beatIndex !== null && lastCounted.beatIndex !== null
+            ? tap.beatIndex - lastCounted.beatIndex
+            : Math.round(span / tap.target);
+
+        if (beats <= 0) {
+            const sincePrevious = tap.time - context[index - 1].time;
+            return {
+                slot,
+                beats: 0,
+                missedBefore: 0,
+                event: sincePrevious < tap.target * DOUBLE_HIT_WINDOW ? TAP_EVENTS.DOUBLE : TAP_EVENTS.EXTRA,
+                ...unaligned,
+            };
+        }
+
+        // Onset times are tap time minus offset, when both taps have one
+        const expectedSpan = tap.offset !== null && lastCounted.offset !== null
+            ? (tap.time - tap.offset) - (lastCounted.time - lastCounted.offset)
+            : beats * tap.target;
+
+        lastCounted = tap;
+        slot += beats;
+        return {
+            slot,
+            beats,
+            missedBefore: beats - 1,
+            event: null,
+            span,
+            expectedSpan,
+            beatInterval: span * tap.target / expectedSpan,
+        };
+    });
+}
+
+/**
+ * Score every tap. Errors are signed ms (negative early, positive late).
+ * Interval errors compare the time since the last counted tap with the time
+ * between their onsets, shared over the onsets in between so a missed beat
+ * doesn't count as one huge interval. Errors are a share of the beat. Double
+ * hits and extra taps are labelled and left unscored. The PID terms advance
+ * once per scored tap, so they depend only on the taps, and the integral
+ * restarts whenever the target tempo changes.
+ */
+function analyzeTaps(input) {
+    const scoringMode = input.scoringMode || SCORING_MODES.INTERVAL;
+    const pidConfig = { ...PID_CONFIG, ...input.pid };
+    const thresholds = input.thresholds || THRESHOLDS;
+    const context = resolveTapContext(input);
+    const alignment = alignTaps(context, input.firstBeat !== undefined ? input.firstBeat : null);
+
+    let errorIntegral = 0;
+    let previousError = 0;
+    let tempoErrors = [];
+
+    return context.map((tap, index) => {
+        if (index > 0 && tap.bpm !== context[index - 1].bpm) {
+            errorIntegral = 0;
+            tempoErrors = [];
+        }
+
+        const interval = index > 0 ? tap.time - context[index - 1].time : null;
+        const aligned = alignment[index];
+
+        let error = null;
+        if (aligned.event !== null) {
+            // Double hits and extra taps aren't scored
+        } else if (scoringMode === SCORING_MODES.PHASE) {
+            error = tap.offset;
+        } else if (aligned.span !== null) {
+            // The first tap has no interval to score
+            error = (aligned.span - aligned.expectedSpan) / aligned.beats;
+        }
+
+        const result = {
+            index,
+            ...tap,
+            ...aligned,
+            interval,
+            error,
+            errorPercent: null,
+            accuracy: null,
+            category: null,
+            pid: null,
+        };
+        if (error === null) return result;
+
+        result.errorPercent = Math.abs(error) / tap.target;
+        result.accuracy = Math.max(0, 1 - result.errorPercent) * 100;
+        result.category = categorizeError(result.errorPercent, thresholds);
+
+        // P: current error, I: accumulated error, D: change in error
+        tempoErrors.push(error);
+        errorIntegral = integrateError(errorIntegral, error, tempoErrors, pidConfig);
+        const p = error * pidConfig.Kp;
+        const i = errorIntegral * pidConfig.Ki;
+        const d = (error - previousError) * pidConfig.Kd;
+        previousError = error;
+        result.pid = { p, i, d, total: p + i + d };
+
+        return result;
+    });
+}
+
+// ========================================
+// Whole-Session Analysis
+// ========================================
+
+/**
+ * Offsets from the click for taps with (`muted` false) or without
+ * (`muted` true) an audible click, regardless of scoring mode
+ */
+function analyzeSection(tapResults, muted) {
+    const taps = tapResults.filter(tap => tap.offset !== null && tap.event === null && tap.muted === muted);
+    if (taps.length === 0) return null;
+
+    const offsets = taps.map(tap => tap.offset);
+    return {
+        count: taps.length,
+        meanOffset: mean(offsets),
+        meanAbsOffset: mean(offsets.map(Math.abs)),
+        accuracy: mean(taps.map(tap => Math.max(0, 1 - Math.abs(tap.offset) / tap.target))) * 100,
+    };
+}
+
+/**
+ * Highest target tempo at which the player kept at least `minRun`
+ * consecutive taps within the GOOD band, or null if none
+ */
+function findHighestHeldBPM(tapResults, minRun, thresholds = THRESHOLDS) {
+    let best = null;
+    let run = 0;
+
+    let previous = null;
+
+    tapResults.forEach(tap => {
+        if (tap.event !== null) return;
+        if (tap.errorPercent === null || tap.errorPercent >= thresholds.GOOD) {
+            run = 0;
+            previous = tap;
+            return;
+        }
+
+        const unbroken = previous !== null && tap.bpm === previous.bpm && tap.missedBefore === 0;
+        run = unbroken ? run + 1 : 1;
+        previous = tap;
+        if (run >= minRun) {
+            best = Math.max(best || 0, tap.bpm);
+        }
+    });
+
+    return best;
+}
+
+/**
+ * Spread of the signed errors (ms): mean, median, standard deviation,
+ * percentiles, and outliers outside Tukey's fences (1.5 IQR past the
+ * quartiles). Null with no scored taps.
+ */
+function describeErrors(errors) {
+    if (errors.length === 0) return null;
+
+    const sorted = errors.slice().sort((a, b) => a - b);
+    const p25 = quantile(sorted, 0.25);
+    const p75 = quantile(sorted, 0.75);
+    const fence = (p75 - p25) * 1.5;
+
+    return {
+        mean: mean(errors),
+        median: quantile(sorted, 0.5),
+        stdDev: standardDeviation(errors),
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        p5: quantile(sorted, 0.05),
+        p25,
+        p75,
+        p95: quantile(sorted, 0.95),
+        outliers: errors.filter(error => error < p25 - fence || error > p75 + fence).length,
+    };
+}
+
+/**
+ * Signed errors grouped into equal bins centred on zero. The bin width is
+ * the smallest of `widths` that covers the bulk of the taps in at most
+ * `maxBins` bins; taps beyond the edges land in the end bins.
+ */
+function buildHistogram(errors, { maxBins = 24, widths = [1, 2, 5, 10, 20, 50, 100] } = {}) {
+    if (errors.length === 0) return [];
+
+    const sorted = errors.slice().sort((a, b) => a - b);
+    const extent = Math.max(1, Math.abs(quantile(sorted, 0.02)), Math.abs(quantile(sorted, 0.98)));
+    const width = widths.find(w => Math.ceil(extent / w) * 2 <= maxBins) || widths[widths.length - 1];
+    const half = Math.min(Math.ceil(extent / width), maxBins / 2);
+
+    const bins = Array.from({ length: half * 2 }, (_, i) => ({
+        from: (i - half) * width,
+        to: (i - half + 1) * width,
+        count: 0,
+    }));
+    errors.forEach(error => {
+        const index = Math.max(0, Math.min(bins.length - 1, Math.floor(error / width) + half));
+        bins[index].count++;
+    });
+
+    return bins;
+}
+
+/**
+ * Live status text from the latest tap's error and PID terms
+ */
+function getTempoStatus(tapResults, thresholds = THRESHOLDS) {
+    const scored = tapResults.filter(tap => tap.error !== null);
+    if (scored.length < 3) {
+        return { status: 'warming-up', text: 'Keep tapping...' };
+    }
+
+    const last = scored[scored.length - 1];
+    const { pid, target, error } = last;
+
+    // Check if on time
+    if (last.errorPercent < thresholds.PERFECT) {
+        return { status: 'on-time', text: 'Perfect timing!', class: 'on-time' };
+    }
+
+    // Check rushing vs dragging (integral term)
+    if (Math.abs(pid.i) > target * 0.1) {
+        if (pid.i < 0) {
+            return { status: 'rushing', text: 'Rushing overall', class: 'rushing' };
+        } else {
+            return { status: 'dragging', text: 'Dragging overall', class: 'dragging' };
+        }
+    }
+
+    // Check acceleration/deceleration (derivative term)
+    if (Math.abs(pid.d) > target * 0.05) {
+        if (pid.d < 0) {
+            return { status: 'accelerating', text: 'Accelerating', class: 'accelerating' };
+        } else {
+            return { status: 'decelerating', text: 'Decelerating', class: 'decelerating' };
+        }
+    }
+
+    // Default: slight error
+    if (error < 0) {
+        return { status: 'rushing', text: 'Slightly early', class: 'rushing' };
+    } else {
+        return { status: 'dragging', text: 'Slightly late', class: 'dragging' };
+    }
+}
+
+function summarize(tapResults, input) {
+    const thresholds = input.thresholds || THRESHOLDS;
+    const scored = tapResults.filter(tap => tap.error !== null);
+    const errors = scored.map(tap => tap.error);
+    const meanTarget = tapResults.length > 0
+        ? mean(tapResults.map(tap => tap.target))
+        : (60 / input.bpm) * 1000;
+
+    // Consistency score (0-100 based on standard deviation)
+    const consistency = errors.length > 1
+        ? Math.max(0, 100 - (standardDeviation(errors) / meanTarget * 100))
+        : null;
+
+    // Tendency (mean signed error)
+    const avgError = mean(errors);
+    let tendency = 'balanced';
+    if (Math.abs(avgError) >= meanTarget * 0.02) {
+        tendency = avgError < 0 ? 'rushing' : 'dragging';
+    }
+
+    // Stability (average change between consecutive per-beat intervals)
+    const intervals = tapResults.filter(tap => tap.beatInterval !== null).map(tap => tap.beatInterval);
+    const tempoChanges = intervals.slice(1).map((interval, i) => Math.abs(interval - intervals[i]));
+    const avgChange = mean(tempoChanges);
+    let stability = 'inconsistent';
+    if (avgChange < meanTarget * 0.05) {
+        stability = 'very-stable';
+    } else if (avgChange < meanTarget * 0.1) {
+        stability = 'moderately-stable';
+    }
+
+    // Best accuracy run (consecutive perfect taps)
+    let bestRun = 0;
+    let currentRun = 0;
+    scored.forEach(tap => {
+        if (tap.missedBefore > 0) currentRun = 0;
+        if (tap.errorPercent < thresholds.PERFECT) {
+            currentRun++;
+            bestRun = Math.max(bestRun, currentRun);
+        } else {
+            currentRun = 0;
+        }
+    });
+
+    // Drift: how fast the tempo wandered from the target, in BPM per minute
+    const curve = getTempoCurve(tapResults);
+    const origin = tapResults.length > 0 ? tapResults[0].time : 0;
+    const driftPerMinute = linearSlope(curve.map(point => [
+        (point.time - origin) / 60000,
+        point.bpm - point.targetBPM,
+    ]));
+
+    return {
+        tapCount: tapResults.length,
+        scoredCount: scored.length,
+        accuracy: mean(scored.map(tap => tap.accuracy)),
+        consistency,
+        avgError,
+        tendency,
+        avgChange,
+        stability,
+        bestRun,
+        meanTarget,
+        audible: analyzeSection(tapResults, false),
+        silent: analyzeSection(tapResults, true),
+        highestHeldBPM: findHighestHeldBPM(tapResults, input.beatsPerBar || 4, thresholds),
+        errorStats: describeErrors(errors),
+        driftPerMinute,
+        missedBeats: tapResults.reduce((sum, tap) => sum + tap.missedBefore, 0),
+        doubleTaps: tapResults.filter(tap => tap.event === TAP_EVENTS.DOUBLE).length,
+        extraTaps: tapResults.filter(tap => tap.event === TAP_EVENTS.EXTRA).length,
+    };
+}
+
+/**
+ * Tempo over time, one point per counted tap after the first: the BPM of
+ * its time per beat, the BPM of an exponentially smoothed time per beat
+ * (`smoothing` is the weight of each new one, 0-1) and the target BPM.
+ */
+function getTempoCurve(tapResults, smoothing = 0.3) {
+    let smoothedInterval = null;
+
+    return tapResults.filter(tap => tap.beatInterval !== null && tap.beatInterval > 0).map(tap => {
+        smoothedInterval = smoothedInterval === null
+            ? tap.beatInterval
+            : smoothedInterval + smoothing * (tap.beatInterval - smoothedInterval);
+
+        return {
+            index: tap.index,
+            time: tap.time,
+            bpm: 60000 / tap.beatInterval,
+            smoothedBPM: 60000 / smoothedInterval,
+            targetBPM: tap.bpm,
+        };
+    });
+}
+
+/**
+ * How closely two voices' taps line up on the notes they play together:
+ * taps aimed at the same moment (their beat or pattern note) are paired
+ * up and compared directly. `meanGap` is signed ms, positive when voice b
+ * lands after voice a. Null when they share no played notes.
+ */
+function compareVoices(tapsA, tapsB) {
+    const played = taps => taps.filter(tap => tap.event === null && tap.offset !== null);
+    const noteTime = tap => tap.time - tap.offset;
+    const candidates = played(tapsB);
+
+    const gaps = [];
+    played(tapsA).forEach(tapA => {
+        const tolerance = tapA.target * VOICE_MATCH_WINDOW;
+        const tapB = candidates.find(tap => Math.abs(noteTime(tap) - noteTime(tapA)) < tolerance);
+        if (tapB) gaps.push(tapB.time - tapA.time);
+    });
+    if (gaps.length === 0) return null;
+
+    const spread = gaps.map(Math.abs);
+    return {
+        shared: gaps.length,
+        meanGap: mean(gaps),
+        meanAbsGap: mean(spread),
+        maxAbsGap: Math.max(...spread),
+    };
+}
+
+/**
+ * How tightly several voices lined up with each other rather than with
+ * the click. `tapLists` holds one analyzeTaps() result per voice; taps
+ * aimed at the same note are grouped, and a group's spread is the time
+ * from its first tap to its last. Returns { notes, meanSpread, maxSpread,
+ * tightness, leads } for the notes two or more voices played, with
+ * `tightness` a 0-100 score like consistency and `leads` each voice's mean
+ * ms from its group's average time (negative when ahead of the others,
+ * null for a voice that shared no notes). Null when no note was shared.
+ */
+function measureEnsemble(tapLists) {
+    const groups = [];
+    tapLists.forEach((taps, voice) => {
+        taps.filter(tap => tap.event === null && tap.offset !== null).forEach(tap => {
+            const noteTime = tap.time - tap.offset;
+            const tolerance = tap.target * VOICE_MATCH_WINDOW;
+            let group = groups.find(candidate => Math.abs(candidate.noteTime - noteTime) < tolerance);
+            if (!group) {
+                group = { noteTime, target: tap.target, taps: [] };
+                groups.push(group);
+            }
+            // A voice's second tap at the same note isn't part of the ensemble
+            if (!group.taps.some(member => member.voice === voice)) {
+                group.taps.push({ voice, time: tap.time });
+            }
+        });
+    });
+
+    const shared = groups.filter(group => group.taps.length > 1);
+    if (shared.length === 0) return null;
+
+    const spreads = shared.map(group => {
+        const times = group.taps.map(member => member.time);
+        return Math.max(...times) - Math.min(...times);
+    });
+    const meanSpread = mean(spreads);
+
+    const leans = tapLists.map(() => []);
+    shared.forEach(group => {
+        const average = mean(group.taps.map(member => member.time));
+        group.taps.forEach(member => leans[member.voice].push(member.time - average));
+    });
+
+    return {
+        notes: shared.length,
+        meanSpread,
+        maxSpread: Math.max(...spreads),
+        tightness: Math.max(0, 100 - (meanSpread / mean(shared.map(group => group.target)) * 100)),
+        leads: leans.map(values => (values.length > 0 ? mean(values) : null)),
+    };
+}
+
+/**
+ * Analyse a session.
+ *
+ * `input` fields:
+ * - taps: tap times in ms (required)
+ * - bpm: target tempo, used wherever per-tap context is missing (required)
+ * - scoringMode: SCORING_MODES value, default interval
+ * - beatsPerBar: taps in a row needed to "hold" a tempo, default 4
+ * - targets, tapBPMs, offsets, muted, beatIndexes: per-tap context recorded
+ *   during the session; anything missing is taken from the nearest of
+ *   `beats` ({ index, timeMs, interval, bpm, muted }) or from `bpm`
+ * - firstBeat: index of the beat the session starts on, when it was set by
+ *   a count-in rather than by the first tap
+ * - pid: PID_CONFIG overrides; thresholds: replaces THRESHOLDS
+ *
+ * Returns { taps: [per-tap results], summary, status }.
+ */
+function analyzeSession(input) {
+    const taps = analyzeTaps(input);
+    return {
+        taps,
+        summary: summarize(taps, input),
+        status: getTempoStatus(taps, input.thresholds || THRESHOLDS),
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        INTEGRAL_MODES,
+        PID_CONFIG,
+        THRESHOLDS,
+        SCORING_MODES,
+        TAP_EVENTS,
+        findNearestBeat,
+        categorizeError,
+        analyzeTaps,
+        analyzeSession,
+        getTempoStatus,
+        getTempoCurve,
+        describeErrors,
+        buildHistogram,
+        compareVoices,
+        measureEnsemble,
+    };
+}
@@ -0,0 +1,445 @@
+/**
+ * BPM Clock - Tempo Graph
+ * Line chart of tapped tempo against the target, with the PID terms below,
+ * and the histogram of timing errors for the summary
+ */
+
+// ========================================
+// Constants and Configuration
+// ========================================
+
+const TEMPO_GRAPH = {
+    liveWindow: 10000,  // ms of taps shown while training
+    minSpan: 2000,      // Narrowest zoom (ms)
+    zoomStep: 1.25,
+    smoothing: 0.3,     // Weight of each new interval in the smoothed tempo
+    pidShare: 0.3,      // Share of the plot height given to the PID strip
+};
+
+// Theme colour names (see theme.js), resolved into each chart's `colors`
+const TEMPO_GRAPH_COLORS = {
+    grid: 'cream-border',
+    text: 'charcoal-dim',
+    target: 'charcoal-dim',
+    tapped: 'slate-blue-light',
+    smoothed: 'slate-blue-dark',
+    label: 'charcoal',
+    p: 'charcoal',
+    i: 'warning-amber',
+    d: 'slate-blue-light',
+    perfect: 'success-green',
+    good: 'warning-amber',
+    off: 'error-red',
+};
+
+// ========================================
+// Tempo Graph (Canvas)
+// ========================================
+
+/**
+ * Tempo over time for one session. Live graphs scroll to the latest taps;
+ * otherwise the whole session is shown and can be zoomed with the wheel,
+ * dragged sideways, reset with a double click and hovered for tap details.
+ */
+class TempoGraph {
+    constructor(canvas, { live = false } = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.live = live;
+        this.padding = { top: 12, right: 12, bottom: 22, left: 44 };
+
+        this.taps = [];
+        this.curve = [];
+        this.view = null;       // { start, end } in ms
+        this.hoverIndex = null; // Index into this.curve
+        this.dragX = null;
+
+        this.refreshColors();
+        window.addEventListener('themechange', () => {
+            this.refreshColors();
+            if (this.view) this.render();
+        });
+
+        if (!live) this.initInteraction();
+    }
+
+    refreshColors() {
+        this.colors = getThemePalette(TEMPO_GRAPH_COLORS);
+        this.colors.tooltip = getThemeColor('cream', 0.95);
+    }
+
+    initInteraction() {
+        this.canvas.addEventListener('wheel', (e) => {
+            if (this.curve.length < 2) return;
+            e.preventDefault();
+            this.zoom(e.deltaY < 0 ? 1 / TEMPO_GRAPH.zoomStep : TEMPO_GRAPH.zoomStep, this.timeAt(this.eventX(e)));
+        }, { passive: false });
+
+        this.canvas.addEventListener('mousedown', (e) => {
+            this.dragX = this.eventX(e);
+        });
+        window.addEventListener('mouseup', () => {
+            this.dragX = null;
+        });
+
+        this.canvas.addEventListener('mousemove', (e) => {
+            const x = this.eventX(e);
+            if (this.dragX !== null) {
+                this.pan(this.timeAt(this.dragX) - this.timeAt(x));
+                this.dragX = x;
+            }
+            this.hoverIndex = this.nearestPoint(x);
+            this.render();
+        });
+        this.canvas.addEventListener('mouseleave', () => {
+            this.hoverIndex = null;
+            this.render();
+        });
+        this.canvas.addEventListener('dblclick', () => this.resetView());
+    }
+
+    /**
+     * Canvas x of a mouse event, allowing for CSS scaling
+     */
+    eventX(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return (e.clientX - rect.left) * (this.canvas.width / rect.width);
+    }
+
+    getFullRange() {
+        if (this.taps.length === 0) return { start: 0, end: TEMPO_GRAPH.minSpan };
+        const start = this.taps[0].time;
+        const end = this.taps[this.taps.length - 1].time;
+        return { start, end: Math.max(end, start + TEMPO_GRAPH.minSpan) };
+    }
+
+    resetView() {
+        this.view = this.getFullRange();
+        this.render();
+    }
+
+    /**
+     * Keep the view inside the session and no narrower than minSpan
+     */
+    setView(start, end) {
+        const full = this.getFullRange();
+        const span = Math.min(full.end - full.start, Math.max(TEMPO_GRAPH.minSpan, end - start));
+        const clampedStart = Math.max(full.start, Math.min(full.end - span, start));
+        this.view = { start: clampedStart, end: clampedStart + span };
+    }
+
+    zoom(factor, around) {
+        const { start, end } = this.view;
+        this.setView(around - (around - start) * factor, around + (end - around) * factor);
+        this.render();
+    }
+
+    pan(deltaMs) {
+        this.setView(this.view.start + deltaMs, this.view.end + deltaMs);
+    }
+
+    getPlotArea() {
+        const { top, right, bottom, left } = this.padding;
+        const width = this.canvas.width - left - right;
+        const height = this.canvas.height - top - bottom;
+        const pidHeight = Math.round(height * TEMPO_GRAPH.pidShare);
+        return {
+            left,
+            width,
+            tempoTop: top,
+            tempoHeight: height - pidHeight - 10,
+            pidTop: top + height - pidHeight,
+            pidHeight,
+        };
+    }
+
+    xFor(time) {
+        const { left, width } = this.getPlotArea();
+        return left + ((time - this.view.start) / (this.view.end - this.view.start)) * width;
+    }
+
+    timeAt(x) {
+        const { left, width } = this.getPlotArea();
+        return this.view.start + ((x - left) / width) * (this.view.end - this.view.start);
+    }
+
+    nearestPoint(x) {
+        let nearest = null;
+        this.curve.forEach((point, index) => {
+            const distance = Math.abs(this.xFor(point.time) - x);
+            if (distance < 12 && (nearest === null || distance < nearest.distance)) {
+                nearest = { index, distance };
+            }
+        });
+        return nearest ? nearest.index : null;
+    }
+
+    /**
+     * Re-read one voice of the session from `state` (a TapTempoState) and redraw
+     */
+    draw(state, voice = 0) {
+        this.taps = state.analyze(voice).taps;
+        this.curve = getTempoCurve(this.taps, TEMPO_GRAPH.smoothing);
+
+        if (this.live) {
+            const last = this.taps.length > 0 ? this.taps[this.taps.length - 1].time : 0;
+            const start = Math.max(this.getFullRange().start, last - TEMPO_GRAPH.liveWindow);
+            this.view = { start, end: Math.max(last, start + TEMPO_GRAPH.liveWindow) };
+        } else {
+            this.hoverIndex = null;
+            this.view = this.getFullRange();
+        }
+        this.render();
+    }
+
+    render() {
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.font = '11px Inter, system-ui, sans-serif';
+
+        if (this.curve.length === 0) {
+            ctx.fillStyle = this.colors.text;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('Tempo appears after your second tap', this.canvas.width / 2, this.canvas.height / 2);
+            return;
+        }
+
+        const visible = this.curve.filter(point => point.time >= this.view.start && point.time <= this.view.end);
+        const area = this.getPlotArea();
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(area.left, 0, area.width, this.canvas.height);
+        ctx.clip();
+        this.drawTempo(visible.length > 0 ? visible : this.curve, area);
+        this.drawPID(area);
+        ctx.restore();
+
+        this.drawLabels(area);
+        if (this.hoverIndex !== null) this.drawHover(area);
+    }
+
+    drawTempo(visible, area) {
+        const ctx = this.ctx;
+
+        // Keep at least ±5 BPM around the target so a steady player isn't magnified
+        const values = visible.flatMap(point => [point.bpm, point.smoothedBPM, point.targetBPM]);
+        const targetMid = visible[0].targetBPM;
+        let min = Math.min(targetMid - 5, ...values);
+        let max = Math.max(targetMid + 5, ...values);
+        const pad = (max - min) * 0.1;
+        min -= pad;
+        max += pad;
+        this.tempoRange = { min, max };
+        const yFor = (bpm) => area.tempoTop + area.tempoHeight * (1 - (bpm - min) / (max - min));
+
+        // Grid
+        ctx.strokeStyle = this.colors.grid;
+        ctx.lineWidth = 1;
+        [min, (min + max) / 2, max].forEach(bpm => {
+            ctx.beginPath();
+            ctx.moveTo(area.left, yFor(bpm));
+            ctx.lineTo(area.left + area.width, yFor(bpm));
+            ctx.stroke();
+        });
+
+        // Target, stepped where a ramp changed it
+        ctx.strokeStyle = this.colors.target;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        this.curve.forEach((point, index) => {
+            const x = this.xFor(point.time);
+            const y = yFor(point.targetBPM);
+            if (index === 0) {
+                ctx.moveTo(area.left, y);
+            } else {
+                ctx.lineTo(x, yFor(this.curve[index - 1].targetBPM));
+            }
+            ctx.lineTo(x, y);
+        });
+        ctx.lineTo(area.left + area.width, yFor(this.curve[this.curve.length - 1].targetBPM));
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        this.drawLine(this.curve.map(point => [this.xFor(point.time), yFor(point.bpm)]), this.colors.tapped, 1);
+        this.drawLine(this.curve.map(point => [this.xFor(point.time), yFor(point.smoothedBPM)]), this.colors.smoothed, 2.5);
+
+        // Each tap coloured by its accuracy band
+        this.curve.forEach(point => {
+            const category = this.taps[point.index].category;
+            ctx.fillStyle = this.colors[category === 'perfect' || category === 'good' ? category : 'off'];
+            ctx.beginPath();
+            ctx.arc(this.xFor(point.time), yFor(point.bpm), 2.5, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        this.tempoY = yFor;
+    }
+
+    drawPID(area) {
+        const ctx = this.ctx;
+        const scored = this.taps.filter(tap => tap.pid);
+        const extent = Math.max(1, ...scored.flatMap(tap => [tap.pid.p, tap.pid.i, tap.pid.d].map(Math.abs)));
+        const yFor = (value) => area.pidTop + area.pidHeight / 2 - (value / extent) * (area.pidHeight / 2);
+
+        ctx.strokeStyle = this.colors.grid;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(area.left, yFor(0));
+        ctx.lineTo(area.left + area.width, yFor(0));
+        ctx.stroke();
+
+        ['p', 'i', 'd'].forEach(term => {
+            this.drawLine(scored.map(tap => [this.xFor(tap.time), yFor(tap.pid[term])]), this.colors[term], 1.5);
+        });
+    }
+
+    drawLine(points, color, width) {
+        const ctx = this.ctx;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = width;
+        ctx.beginPath();
+        points.forEach(([x, y], index) => {
+            if (index === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+    }
+
+    drawLabels(area) {
+        const ctx = this.ctx;
+        const { min, max } = this.tempoRange;
+
+        ctx.fillStyle = this.colors.text;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        [min, (min + max) / 2, max].forEach(bpm => {
+            ctx.fillText(Math.round(bpm), area.left - 6, this.tempoY(bpm));
+        });
+        ctx.fillText('PID', area.left - 6, area.pidTop + area.pidHeight / 2);
+
+        // Seconds since the first tap along the bottom
+        const origin = this.taps[0].time;
+        const span = this.view.end - this.view.start;
+        const step = [1000, 2000, 5000, 10000, 15000, 30000, 60000].find(s => span / s <= 8) || 60000;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        for (let t = Math.ceil((this.view.start - origin) / step) * step; t + origin <= this.view.end; t += step) {
+            ctx.fillText(`${t / 1000}s`, this.xFor(t + origin), this.canvas.height - this.padding.bottom + 6);
+        }
+    }
+
+    drawHover(area) {
+        const ctx = this.ctx;
+        const point = this.curve[this.hoverIndex];
+        const tap = this.taps[point.index];
+        const x = this.xFor(point.time);
+
+        ctx.strokeStyle = this.colors.text;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, area.tempoTop);
+        ctx.lineTo(x, area.pidTop + area.pidHeight);
+        ctx.stroke();
+
+        const direction = tap.error < 0 ? 'early' : 'late';
+        const lines = [
+            `Tap ${tap.index + 1} · ${((tap.time - this.taps[0].time) / 1000).toFixed(1)}s`,
+            `${point.bpm.toFixed(1)} BPM (target ${Math.round(point.targetBPM)})`,
+            tap.error !== null ? `${Math.abs(tap.error).toFixed(0)}ms ${direction}` : 'Not scored',
+            tap.pid ? `P ${tap.pid.p.toFixed(0)} · I ${tap.pid.i.toFixed(0)} · D ${tap.pid.d.toFixed(0)}` : '',
+        ].filter(Boolean);
+
+        const width = Math.max(...lines.map(line => ctx.measureText(line).width)) + 16;
+        const height = lines.length * 15 + 10;
+        const boxX = x + width + 8 > area.left + area.width ? x - width - 8 : x + 8;
+
+        ctx.fillStyle = this.colors.tooltip;
+        ctx.strokeStyle = this.colors.grid;
+        ctx.fillRect(boxX, area.tempoTop, width, height);
+        ctx.strokeRect(boxX, area.tempoTop, width, height);
+
+        ctx.fillStyle = this.colors.label;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        lines.forEach((line, index) => {
+            ctx.fillText(line, boxX + 8, area.tempoTop + 6 + index * 15);
+        });
+    }
+}
+
+// ========================================
+// Error Histogram (Canvas)
+// ========================================
+
+/**
+ * Bar chart of buildHistogram() bins, early on the left and late on the right
+ */
+class ErrorHistogram {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.padding = { top: 12, right: 12, bottom: 24, left: 12 };
+        this.drawn = null; // Last draw() arguments, to repaint on a theme change
+
+        this.colors = getThemePalette(TEMPO_GRAPH_COLORS);
+        window.addEventListener('themechange', () => {
+            this.colors = getThemePalette(TEMPO_GRAPH_COLORS);
+            if (this.drawn) this.draw(...this.drawn);
+        });
+    }
+
+    draw(bins, thresholds, meanTarget) {
+        this.drawn = [bins, thresholds, meanTarget];
+        const ctx = this.ctx;
+        const { top, right, bottom, left } = this.padding;
+        const width = this.canvas.width - left - right;
+        const height = this.canvas.height - top - bottom;
+
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.font = '11px Inter, system-ui, sans-serif';
+        ctx.fillStyle = this.colors.text;
+
+        if (bins.length === 0) {
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('No scored taps', this.canvas.width / 2, this.canvas.height / 2);
+            return;
+        }
+
+        const maxCount = Math.max(...bins.map(bin => bin.count));
+        const barWidth = width / bins.length;
+
+        // Bars coloured by the band their centre falls in
+        bins.forEach((bin, index) => {
+            const percent = Math.abs((bin.from + bin.to) / 2) / meanTarget;
+            const category = categorizeError(percent, thresholds);
+            const barHeight = maxCount > 0 ? (bin.count / maxCount) * height : 0;
+
+            ctx.fillStyle = this.colors[category === 'perfect' || category === 'good' ? category : 'off'];
+            ctx.fillRect(left + index * barWidth + 1, top + height - barHeight, barWidth - 2, barHeight);
+        });
+
+        // Zero line and edge labels
+        const zeroX = left + (bins.findIndex(bin => bin.from === 0) / bins.length) * width;
+        ctx.strokeStyle = this.colors.target;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(zeroX, top);
+        ctx.lineTo(zeroX, top + height);
+        ctx.stroke();
+
+        ctx.fillStyle = this.colors.text;
+        ctx.textBaseline = 'top';
+        ctx.textAlign = 'left';
+        ctx.fillText(`${Math.abs(bins[0].from)}ms early`, left, top + height + 6);
+        ctx.textAlign = 'center';
+        ctx.fillText('0', zeroX, top + height + 6);
+        ctx.textAlign = 'right';
+        ctx.fillText(`${bins[bins.length - 1].to}ms late`, left + width, top + height + 6);
+    }
+}
@@ -0,0 +1,134 @@
+/**
+ * BPM Clock - Theme
+ * Light, dark and high-contrast palettes. Colours are CSS variables set per
+ * theme in styles.css; Tailwind classes read them and canvases resolve them
+ * here. Loaded in <head> so the saved theme applies before first paint.
+ */
+
+// ========================================
+// Constants and Configuration
+// ========================================
+
+const THEMES = {
+    system: 'Match system',
+    light: 'Light',
+    dark: 'Dark',
+    contrast: 'High contrast',
+};
+
+const THEME_STORAGE_KEY = 'bpmclock.theme';
+
+// ========================================
+// Storage
+// ========================================
+
+function loadTheme() {
+    try {
+        const theme = localStorage.getItem(THEME_STORAGE_KEY);
+        return theme in THEMES ? theme : 'system';
+    } catch (e) {
+        return 'system';
+    }
+}
+
+function saveTheme(theme) {
+    try {
+        localStorage.setItem(THEME_STORAGE_KEY, theme);
+    } catch (e) {
+        // Storage full or disabled: the theme still applies for this visit
+    }
+}
+
+// ========================================
+// Applying
+// ========================================
+
+/**
+ * `system` follows the OS light or dark setting
+ */
+function resolveTheme(theme) {
+    if (theme !== 'system') return theme;
+    const dark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+    return dark ? 'dark' : 'light';
+}
+
+/**
+ * Switch the page to `theme`, recolour the title bar to match and tell
+ * canvases to repaint with a 'themechange' event on window
+ */
+function applyTheme(theme) {
+    document.documentElement.dataset.theme = resolveTheme(theme);
+
+    // Browser and installed-app title bar
+    const meta = document.querySelector('meta[name="theme-color"]');
+    const background = getThemeColor('cream');
+    if (meta && background) meta.content = background;
+
+    window.dispatchEvent(new CustomEvent('themechange', { detail: { theme } }));
+}
+
+/**
+ * A theme colour (a Tailwind colour name such as 'slate-blue') as a CSS
+ * value for element styles. It follows later theme changes by itself.
+ */
+function themeColorVar(name) {
+    return `rgb(var(--color-${name}))`;
+}
+
+/**
+ * A theme colour resolved for the current theme, for canvases, which can't
+ * read CSS variables. Empty when the stylesheet hasn't defined it.
+ */
+function getThemeColor(name, alpha = 1) {
+    const channels = getComputedStyle(document.documentElement)
+        .getPropertyValue(`--color-${name}`)
+        .trim();
+    if (!channels) return '';
+    return alpha < 1 ? `rgb(${channels} / ${alpha})` : `rgb(${channels})`;
+}
+
+/**
+ * getThemeColor() for each value of `names` ({ grid: 'cream-border', ... }),
+ * keyed the same way
+ */
+function getThemePalette(names) {
+    const palette = {};
+    Object.entries(names).forEach(([key, name]) => {
+        palette[key] = getThemeColor(name);
+    });
+    return palette;
+}
+
+// ========================================
+// Theme Picker
+// ========================================
+
+/**
+ * Fill the footer's theme select and switch theme when it changes
+ */
+function initThemeSelect() {
+    const select = document.getElementById('theme-select');
+    if (!select) return;
+
+    Object.entries(THEMES).forEach(([id, label]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    select.value = loadTheme();
+
+    select.addEventListener('change', () => {
+        saveTheme(select.value);
+        applyTheme(select.value);
+    });
+}
+
+applyTheme(loadTheme());
+document.addEventListener('DOMContentLoaded', initThemeSelect);
+
+if (window.matchMedia) {
+    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', () => {
+        if (loadTheme() === 'system') applyTheme('system');
+    });
+}
@@ -0,0 +1,61 @@
+/**
+ * BPM Clock - Wake Lock
+ * Keeps the screen on while a session runs, so phones don't dim mid-exercise
+ */
+
+// ========================================
+// Screen Wake Lock
+// ========================================
+
+/**
+ * A Screen Wake Lock held between acquire() and release(). Browsers drop
+ * the lock when the page is hidden, so it's taken again when the page
+ * comes back while still wanted. Without support it does nothing.
+ */
+class ScreenWakeLock {
+    constructor() {
+        this.sentinel = null;
+        this.wanted = false;
+        this.pending = false;
+
+        document.addEventListener('visibilitychange', () => {
+            if (this.wanted && document.visibilityState === 'visible') this.request();
+        });
+    }
+
+    isSupported() {
+        return typeof navigator !== 'undefined' && 'wakeLock' in navigator;
+    }
+
+    acquire() {
+        this.wanted = true;
+        this.request();
+    }
+
+    async request() {
+        if (!this.isSupported() || this.sentinel || this.pending) return;
+
+        this.pending = true;
+        try {
+            this.sentinel = await navigator.wakeLock.request('screen');
+            this.sentinel.addEventListener('release', () => {
+                this.sentinel = null;
+            });
+            // Released while the request was pending
+            if (!this.wanted) this.release();
+        } catch (error) {
+            // Refused (battery saver, hidden page): the session runs anyway
+            console.warn('Could not keep the screen on', error);
+        } finally {
+            this.pending = false;
+        }
+    }
+
+    release() {
+        this.wanted = false;
+        if (this.sentinel) {
+            this.sentinel.release();
+            this.sentinel = null;
+        }
+    }
+}
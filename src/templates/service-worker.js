@@ -0,0 +1,48 @@
+/**
+ * BPM Clock - Service Worker
+ * Precaches the site so it starts and runs offline. Generated by main.py,
+ * which fills in the asset list and a version that changes with them.
+ */
+
+const CACHE_NAME = 'bpmclock-{{ version }}';
+const PRECACHE_URLS = {{ precache | tojson }};
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop the caches of earlier builds
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('bpmclock-') && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    // Pages: the network when there is one, so a new build shows up,
+    // otherwise the cached app (every route is the one page)
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request).catch(() => caches.match('/index.html', { cacheName: CACHE_NAME }))
+        );
+        return;
+    }
+
+    // Assets: cached copy first; they change only with a new build
+    event.respondWith(
+        caches.match(request, { cacheName: CACHE_NAME })
+            .then(cached => cached || fetch(request))
+    );
+});
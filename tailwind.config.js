@@ -4,21 +4,22 @@ module.exports = {
   theme: {
     extend: {
       colors: {
+        // RGB channels come from the active theme's CSS variables in styles.css
         // Light, clean palette - opposite of Braun dark theme
-        'cream': '#faf8f5',
-        'cream-dark': '#f5f3f0',
-        'cream-border': '#e8e5e0',
-        'charcoal': '#2d2d2d',
-        'charcoal-light': '#4a4a4a',
-        'charcoal-dim': '#6b6b6b',
+        'cream': 'rgb(var(--color-cream) / <alpha-value>)',
+        'cream-dark': 'rgb(var(--color-cream-dark) / <alpha-value>)',
+        'cream-border': 'rgb(var(--color-cream-border) / <alpha-value>)',
+        'charcoal': 'rgb(var(--color-charcoal) / <alpha-value>)',
+        'charcoal-light': 'rgb(var(--color-charcoal-light) / <alpha-value>)',
+        'charcoal-dim': 'rgb(var(--color-charcoal-dim) / <alpha-value>)',
         // Sophisticated muted blue - not garish
-        'slate-blue': '#5b7c99',
-        'slate-blue-light': '#7a96b0',
-        'slate-blue-dark': '#4a6580',
+        'slate-blue': 'rgb(var(--color-slate-blue) / <alpha-value>)',
+        'slate-blue-light': 'rgb(var(--color-slate-blue-light) / <alpha-value>)',
+        'slate-blue-dark': 'rgb(var(--color-slate-blue-dark) / <alpha-value>)',
         // Feedback colors
-        'success-green': '#4a7c59',
-        'warning-amber': '#c4914e',
-        'error-red': '#a85858',
+        'success-green': 'rgb(var(--color-success-green) / <alpha-value>)',
+        'warning-amber': 'rgb(var(--color-warning-amber) / <alpha-value>)',
+        'error-red': 'rgb(var(--color-error-red) / <alpha-value>)',
       },
       fontFamily: {
         sans: ['Inter', 'system-ui', '-apple-system', 'sans-serif'],
@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    CUE_KINDS,
+    describeTiming,
+    describeRating,
+    describePosition,
+    getCue,
+    countTaps,
+    describeTaps,
+    describeRing,
+} = require('../src/static/js/announcements.js');
+
+// Just the analyzeTaps() fields the descriptions read
+const tap = (error, category, extra = {}) => ({
+    time: 0,
+    beatIndex: 0,
+    error,
+    category,
+    missedBefore: 0,
+    event: null,
+    ...extra,
+});
+
+// ========================================
+// Single Taps
+// ========================================
+
+test('timing reads as early, late or on time', () => {
+    assert.equal(describeTiming(tap(-12.4, 'good')), '12 ms early');
+    assert.equal(describeTiming(tap(3, 'perfect')), '3 ms late');
+    assert.equal(describeTiming(tap(0.2, 'perfect')), 'on time');
+    assert.equal(describeTiming(tap(null, null)), null);
+});
+
+test('unscored taps say why', () => {
+    assert.equal(describeRating(tap(5, 'perfect')), 'perfect');
+    assert.equal(describeRating(tap(null, null)), 'not scored');
+    assert.equal(describeRating(tap(null, null, { event: 'double' })), 'double hit, not scored');
+    assert.equal(describeRating(tap(null, null, { event: 'extra' })), 'extra tap, not scored');
+});
+
+test('positions count bars and beats from one, or notes of a pattern', () => {
+    assert.equal(describePosition(tap(0, 'perfect', { beatIndex: 6 }), 4), 'bar 2, beat 3');
+    assert.equal(describePosition(tap(0, 'perfect', { beatIndex: 6 }), 4, true), 'note 7');
+    assert.equal(describePosition(tap(null, null, { beatIndex: null }), 4), '—');
+});
+
+test('only scored taps outside the perfect band get a cue', () => {
+    assert.equal(getCue(tap(-30, 'good')), CUE_KINDS.EARLY);
+    assert.equal(getCue(tap(60, 'off')), CUE_KINDS.LATE);
+    assert.equal(getCue(tap(5, 'perfect')), null);
+    assert.equal(getCue(tap(null, null)), null);
+});
+
+// ========================================
+// Runs of Taps
+// ========================================
+
+const run = [
+    tap(-10, 'perfect'),
+    tap(-20, 'good', { missedBefore: 1 }),
+    tap(null, null, { event: 'double' }),
+    tap(-30, 'off'),
+];
+
+test('a run of taps is counted by category', () => {
+    assert.deepEqual(countTaps(run), {
+        taps: 4, scored: 3, perfect: 1, good: 1, off: 1, missed: 1, meanError: -20,
+    });
+    assert.equal(countTaps([]).meanError, null);
+});
+
+test('a run of taps reads as one sentence', () => {
+    assert.equal(
+        describeTaps(run, 'Bars 3 to 4'),
+        'Bars 3 to 4: 4 taps, 1 perfect, 1 good, 1 off, 1 missed, 20 ms early on average'
+    );
+    assert.equal(describeTaps([tap(0.1, 'perfect')], 'Bar 1'), 'Bar 1: 1 tap, 1 perfect, on time on average');
+    assert.equal(describeTaps([], 'Bar 2'), 'Bar 2: no taps');
+});
+
+test('a tap ring is summed up for its label', () => {
+    assert.equal(describeRing([]), 'No taps yet');
+    assert.equal(describeRing(run), '4 taps: 1 perfect, 1 good, 1 off, 1 missed beat');
+    assert.equal(describeRing(run.slice(0, 1)), '1 tap: 1 perfect, 0 good, 0 off');
+});
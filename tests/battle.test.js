@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { rankPlayers, describeLead } = require('../src/static/js/battle.js');
+
+// Just the summary fields the ranking reads
+const stats = (accuracy, consistency, scoredCount = 20) => ({ accuracy, consistency, scoredCount });
+
+// ========================================
+// Ranking
+// ========================================
+
+test('players are ranked on accuracy', () => {
+    const ranking = rankPlayers([stats(82.4, 70), stats(91.2, 60), stats(77, 90)]);
+    assert.deepEqual(ranking, [
+        { player: 1, place: 1 },
+        { player: 0, place: 2 },
+        { player: 2, place: 3 },
+    ]);
+});
+
+test('accuracy level as shown is settled on consistency', () => {
+    const ranking = rankPlayers([stats(88.41, 71), stats(88.38, 84.4)]);
+    assert.deepEqual(ranking.map(entry => entry.player), [1, 0]);
+    assert.deepEqual(ranking.map(entry => entry.place), [1, 2]);
+});
+
+test('players level on both share a place', () => {
+    const ranking = rankPlayers([stats(90, 80.2), stats(85, 80), stats(90.01, 79.9)]);
+    assert.deepEqual(ranking, [
+        { player: 0, place: 1 },
+        { player: 2, place: 1 },
+        { player: 1, place: 3 },
+    ]);
+});
+
+test('players with no scored taps come last, together', () => {
+    const ranking = rankPlayers([stats(0, null, 0), stats(40, null, 1), stats(0, null, 0)]);
+    assert.deepEqual(ranking, [
+        { player: 1, place: 1 },
+        { player: 0, place: 2 },
+        { player: 2, place: 2 },
+    ]);
+});
+
+// ========================================
+// Ensemble
+// ========================================
+
+test('leads read as ahead of, behind or with the group', () => {
+    assert.equal(describeLead(-12.4), '12 ms ahead of the group');
+    assert.equal(describeLead(8), '8 ms behind the group');
+    assert.equal(describeLead(0.4), 'with the group');
+    assert.equal(describeLead(null), null);
+});
@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    COACHING_DRILLS,
+    getPIDProfile,
+    suggestDrill,
+    coachSession,
+} = require('../src/static/js/coaching.js');
+const { analyzeSession } = require('../src/static/js/tempo-analysis.js');
+
+const INTERVAL = 500;
+const SETTINGS = { bpm: 120, duration: 60, subdivision: 1, gapClick: { mode: 'off' } };
+
+/**
+ * Analysis of `count` taps, tap i landing `shift(i)` ms off its beat
+ */
+function session(count, shift, scoringMode = 'phase') {
+    const taps = [];
+    const offsets = [];
+    const beatIndexes = [];
+    for (let i = 0; i < count; i++) {
+        taps.push(i * INTERVAL + shift(i));
+        offsets.push(shift(i));
+        beatIndexes.push(i);
+    }
+    return analyzeSession({ taps, offsets, beatIndexes, bpm: 120, scoringMode });
+}
+
+// ========================================
+// PID Profile
+// ========================================
+
+test('a steady lean shows as a persistent integral', () => {
+    const profile = getPIDProfile(session(30, () => -30).taps);
+    assert.ok(profile.integralShare > 0.8);
+    assert.ok(profile.meanIntegral < 0);
+    assert.equal(profile.swingShare, 0);
+});
+
+test('no scored taps means no profile', () => {
+    assert.equal(getPIDProfile([]), null);
+});
+
+// ========================================
+// Advice and Next Session
+// ========================================
+
+test('a clean session is played again for longer', () => {
+    const coaching = coachSession(session(40, () => 0), SETTINGS);
+    assert.equal(coaching.suggestion.drill, COACHING_DRILLS.LONGER);
+    assert.deepEqual(coaching.suggestion.settings, { duration: 90 });
+});
+
+test('a clean session at the longest length speeds up', () => {
+    const coaching = coachSession(session(40, () => 0), { ...SETTINGS, duration: 120 });
+    assert.equal(coaching.suggestion.drill, COACHING_DRILLS.FASTER);
+    assert.deepEqual(coaching.suggestion.settings, { bpm: 125 });
+});
+
+test('a clean session counted in bars speeds up rather than lengthening', () => {
+    const coaching = coachSession(session(40, () => 0), { ...SETTINGS, endAfter: { unit: 'bars', count: 16 } });
+    assert.equal(coaching.suggestion.drill, COACHING_DRILLS.FASTER);
+});
+
+test('rushing throughout is called out and subdivided', () => {
+    const coaching = coachSession(session(30, () => -30), SETTINGS);
+    assert.match(coaching.verdict, /rushed/);
+    assert.match(coaching.advice[0], /ahead of the beat/);
+    assert.equal(coaching.suggestion.drill, COACHING_DRILLS.SUBDIVIDE);
+    assert.deepEqual(coaching.suggestion.settings, { subdivision: 2 });
+});
+
+test('dragging with subdivisions already on slows down instead', () => {
+    const coaching = coachSession(session(30, () => 30), { ...SETTINGS, subdivision: 2 });
+    assert.match(coaching.verdict, /dragged/);
+    assert.equal(coaching.suggestion.drill, COACHING_DRILLS.SLOWER);
+});
+
+test('tempo swinging from tap to tap gets the gap-click drill', () => {
+    const coaching = coachSession(session(30, i => (i % 2 === 0 ? 0 : 40), 'interval'), SETTINGS);
+    assert.match(coaching.verdict, /wandered/);
+    assert.equal(coaching.suggestion.drill, COACHING_DRILLS.GAP);
+    assert.equal(coaching.suggestion.settings.gapClick.mode, 'fixed');
+});
+
+test('scattered taps slow down before anything else', () => {
+    const coaching = coachSession(session(30, i => [100, -150, 150, -100][i % 4]), SETTINGS);
+    assert.match(coaching.verdict, /unsteady/);
+    assert.equal(coaching.suggestion.drill, COACHING_DRILLS.SLOWER);
+    assert.deepEqual(coaching.suggestion.settings, { bpm: 105 });
+});
+
+test('too few taps get no suggestion', () => {
+    const coaching = coachSession(session(4, () => 0), SETTINGS);
+    assert.equal(coaching.suggestion, null);
+});
+
+test('slower sessions stay on round tempos above the minimum', () => {
+    assert.deepEqual(suggestDrill(COACHING_DRILLS.SLOWER, { ...SETTINGS, bpm: 93 }).settings, { bpm: 80 });
+    assert.deepEqual(suggestDrill(COACHING_DRILLS.SLOWER, { ...SETTINGS, bpm: 42 }).settings, { bpm: 40 });
+});
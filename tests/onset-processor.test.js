@@ -0,0 +1,142 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SAMPLE_RATE = 48000;
+const BLOCK = 128;
+
+/**
+ * The worklet loaded into a bare context with just the AudioWorkletGlobalScope
+ * names it uses. Returns a processor and the onset times it posts.
+ */
+function loadProcessor() {
+    const onsets = [];
+    const context = {
+        Math,
+        sampleRate: SAMPLE_RATE,
+        currentTime: 0,
+        AudioWorkletProcessor: class {
+            constructor() {
+                this.port = { postMessage: (message) => onsets.push(message.time) };
+            }
+        },
+        registerProcessor: (name, processor) => { context.Processor = processor; },
+    };
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '../src/static/js/onset-processor.js'), 'utf8'), context);
+    return { context, processor: new context.Processor(), onsets };
+}
+
+/**
+ * Feed `signal` through the processor a render quantum at a time
+ */
+function run({ context, processor }, signal) {
+    for (let start = 0; start < signal.length; start += BLOCK) {
+        context.currentTime = start / SAMPLE_RATE;
+        processor.process([[signal.subarray(start, start + BLOCK)]]);
+    }
+}
+
+// Repeatable white noise, -1 to 1
+function makeNoise(seed = 1) {
+    return () => {
+        seed = (seed * 16807) % 2147483647;
+        return (seed / 2147483647) * 2 - 1;
+    };
+}
+
+/**
+ * Half a second of near silence with sounds added: `shape(i)` for each
+ * sample from `at` seconds, fading with a 10ms decay
+ */
+function makeSignal(sounds) {
+    const noise = makeNoise(7);
+    const signal = Float32Array.from({ length: SAMPLE_RATE / 2 }, () => noise() * 0.001);
+    sounds.forEach(({ at, gain, shape }) => {
+        const start = Math.round(at * SAMPLE_RATE);
+        for (let i = 0; i < 0.05 * SAMPLE_RATE; i++) {
+            signal[start + i] += gain * Math.exp(-i / (0.01 * SAMPLE_RATE)) * shape(i);
+        }
+    });
+    return signal;
+}
+
+// A hi-hat click as the metronome plays it: white noise through a high-pass (Q 1)
+function hihat(cutoff) {
+    const noise = makeNoise(3);
+    const w0 = (2 * Math.PI * cutoff) / SAMPLE_RATE;
+    const alpha = Math.sin(w0) / 2;
+    const a0 = 1 + alpha;
+    const b = [(1 + Math.cos(w0)) / 2 / a0, -(1 + Math.cos(w0)) / a0, (1 + Math.cos(w0)) / 2 / a0];
+    const a = [(-2 * Math.cos(w0)) / a0, (1 - alpha) / a0];
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    return () => {
+        const x = noise();
+        const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+        x2 = x1;
+        x1 = x;
+        y2 = y1;
+        y1 = y;
+        return y;
+    };
+}
+
+const tone = (frequency) => (i) => Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE);
+
+// A stick or hand hit: broadband noise
+const hit = () => makeNoise(11);
+
+// Booked 10ms before its sound reaches the mic, as with real output latency
+function bookClick(loaded, at, sound, frequency) {
+    loaded.processor.port.onmessage({
+        data: { type: 'click', from: at - 0.02, to: at + 0.1, sound, frequency },
+    });
+}
+
+test('a hit with no click behind it is reported', () => {
+    const loaded = loadProcessor();
+    run(loaded, makeSignal([{ at: 0.2, gain: 0.5, shape: hit() }]));
+    assert.equal(loaded.onsets.length, 1);
+    assert.ok(Math.abs(loaded.onsets[0] - 0.2) < 0.002);
+});
+
+test('a tonal click on its own is not taken for a hit', () => {
+    const loaded = loadProcessor();
+    bookClick(loaded, 0.19, 'sine', 1000);
+    run(loaded, makeSignal([{ at: 0.2, gain: 0.3, shape: tone(1000) }]));
+    assert.deepEqual(loaded.onsets, []);
+});
+
+test('a hit on top of a tonal click is reported', () => {
+    const loaded = loadProcessor();
+    bookClick(loaded, 0.19, 'sine', 1000);
+    run(loaded, makeSignal([
+        { at: 0.2, gain: 0.3, shape: tone(1000) },
+        { at: 0.2, gain: 0.5, shape: hit() },
+    ]));
+    assert.equal(loaded.onsets.length, 1);
+});
+
+test('a hi-hat click on its own is not taken for a hit', () => {
+    [5000, 7000, 9000].forEach(cutoff => {
+        const loaded = loadProcessor();
+        bookClick(loaded, 0.19, 'noise', cutoff);
+        run(loaded, makeSignal([{ at: 0.2, gain: 0.5, shape: hihat(cutoff) }]));
+        assert.deepEqual(loaded.onsets, [], `${cutoff} Hz`);
+    });
+});
+
+test('a hit on top of a hi-hat click is reported', () => {
+    [5000, 7000, 9000].forEach(cutoff => {
+        const loaded = loadProcessor();
+        bookClick(loaded, 0.19, 'noise', cutoff);
+        run(loaded, makeSignal([
+            { at: 0.2, gain: 0.1, shape: hihat(cutoff) },
+            { at: 0.2, gain: 0.5, shape: hit() },
+        ]));
+        assert.equal(loaded.onsets.length, 1, `${cutoff} Hz`);
+        assert.ok(Math.abs(loaded.onsets[0] - 0.2) < 0.002);
+    });
+});
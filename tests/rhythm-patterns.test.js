@@ -0,0 +1,146 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    RHYTHM_PATTERNS,
+    parsePattern,
+    getOnsetPosition,
+    findNearestOnset,
+} = require('../src/static/js/rhythm-patterns.js');
+const { analyzeSession } = require('../src/static/js/tempo-analysis.js');
+
+const INTERVAL = 500;
+
+/**
+ * Metronome beat at `index`, shaped like Metronome's booked beats
+ */
+function beatAt(index, beatsPerBar = 4) {
+    return {
+        index,
+        bar: Math.floor(index / beatsPerBar),
+        timeMs: index * INTERVAL,
+        interval: INTERVAL,
+        bpm: 120,
+        muted: false,
+    };
+}
+
+/**
+ * Tap each onset of `bars` bars of the pattern, shifted by `shift(i)` ms,
+ * scoring them the way the trainer does
+ */
+function tapPattern(pattern, bars, shift = () => 0) {
+    const input = { taps: [], offsets: [], beatIndexes: [], targets: [], tapBPMs: [] };
+    const count = bars * pattern.onsets.length;
+    for (let i = 0; i < count; i++) {
+        const time = getOnsetPosition(pattern, i) * INTERVAL + shift(i);
+        const beat = beatAt(Math.round(time / INTERVAL), pattern.beatsPerBar);
+        const onset = findNearestOnset(pattern, beat, time);
+        input.taps.push(time);
+        input.offsets.push(time - onset.timeMs);
+        input.beatIndexes.push(onset.index);
+        input.targets.push(onset.interval);
+        input.tapBPMs.push(onset.bpm);
+    }
+    return analyzeSession({ ...input, bpm: 120 });
+}
+
+// ========================================
+// Notation
+// ========================================
+
+test('steps are spread evenly over the bar', () => {
+    const pattern = parsePattern('x..x x..x', 4);
+    assert.equal(pattern.steps, 8);
+    assert.deepEqual(pattern.onsets, [0, 1.5, 2, 3.5]);
+});
+
+test('triplet grids put onsets a third of a beat apart', () => {
+    const pattern = parsePattern('x.x|x.x', 2);
+    assert.deepEqual(pattern.onsets.map(position => Math.round(position * 3)), [0, 2, 3, 5]);
+});
+
+test('spaces, bar lines, dashes and capitals are accepted', () => {
+    assert.deepEqual(parsePattern(' X-x | -x ', 4).onsets, parsePattern('x.x.x', 4).onsets);
+});
+
+test('bad notation is rejected with a readable message', () => {
+    assert.throws(() => parsePattern('', 4), /empty/);
+    assert.throws(() => parsePattern('....', 4), /no hits/);
+    assert.throws(() => parsePattern('x.o.', 4), /"o"/);
+    assert.throws(() => parsePattern('x'.repeat(65), 4), /more than 64/);
+});
+
+test('every built-in pattern parses in its own meter', () => {
+    for (const [id, preset] of Object.entries(RHYTHM_PATTERNS)) {
+        const beatsPerBar = Number(preset.meter.split('/')[0]);
+        assert.doesNotThrow(() => parsePattern(preset.steps, beatsPerBar), id);
+    }
+});
+
+test('son clave lands on the 1, the and of 2, 4, 2 and 3', () => {
+    const pattern = parsePattern(RHYTHM_PATTERNS['son-clave'].steps, 4);
+    assert.deepEqual(pattern.onsets, [0, 0.75, 1.5, 2.5, 3]);
+});
+
+// ========================================
+// Onset Grid
+// ========================================
+
+test('onset positions continue across bars', () => {
+    const pattern = parsePattern('x..x..x.', 4);
+    assert.deepEqual([0, 1, 2, 3, 4].map(i => getOnsetPosition(pattern, i)), [0, 1.5, 3, 4, 5.5]);
+});
+
+test('the nearest onset can sit in the next bar', () => {
+    const pattern = parsePattern('x..x..x.', 4);
+    const onset = findNearestOnset(pattern, beatAt(3), 1900);
+    assert.equal(onset.index, 3);
+    assert.equal(onset.bar, 1);
+    assert.equal(onset.timeMs, 2000);
+});
+
+test('an off-beat tap is matched to the off-beat, not the click', () => {
+    const pattern = parsePattern('.x.x.x.x', 4);
+    const onset = findNearestOnset(pattern, beatAt(1), 760);
+    assert.equal(onset.timeMs, 750);
+    assert.equal(onset.index, 1);
+});
+
+test('no beat yet means no onset', () => {
+    assert.equal(findNearestOnset(parsePattern('x', 4), null, 0), null);
+});
+
+// ========================================
+// Scoring Against a Pattern
+// ========================================
+
+test('a pattern tapped exactly scores perfect with no misses', () => {
+    const analysis = tapPattern(parsePattern(RHYTHM_PATTERNS['dotted-eighths'].steps, 4), 4);
+    assert.equal(analysis.summary.accuracy, 100);
+    assert.equal(analysis.summary.missedBeats, 0);
+    assert.equal(analysis.summary.extraTaps, 0);
+    assert.ok(analysis.taps.slice(1).every(tap => tap.error === 0));
+});
+
+test('holding the dotted note short is measured against the pattern', () => {
+    const pattern = parsePattern('x..x x..x', 4);
+    // Every short note comes 25ms early: a sixteenth a little too soon
+    const analysis = tapPattern(pattern, 2, i => (i % 2 === 1 ? -25 : 0));
+    assert.equal(analysis.taps[1].error, -25);
+    assert.equal(analysis.taps[2].error, 25);
+});
+
+test('a skipped onset of the pattern counts as missed', () => {
+    const pattern = parsePattern(RHYTHM_PATTERNS.tresillo.steps, 4);
+    const input = { taps: [], offsets: [], beatIndexes: [] };
+    [0, 1, 3, 4].forEach(index => {
+        input.taps.push(getOnsetPosition(pattern, index) * INTERVAL);
+        input.offsets.push(0);
+        input.beatIndexes.push(index);
+    });
+    const analysis = analyzeSession({ ...input, bpm: 120 });
+    assert.equal(analysis.summary.missedBeats, 1);
+    assert.equal(analysis.taps[2].missedBefore, 1);
+    assert.equal(analysis.taps[2].error, 0);
+});
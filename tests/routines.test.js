@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    ROUTINE_COUNTDOWN,
+    normalizeRoutine,
+    getCountdown,
+    getRoutineLength,
+    summarizeRoutine,
+} = require('../src/static/js/routines.js');
+
+const CHOICES = { meters: ['3/4', '4/4', '6/8'], modes: ['interval', 'phase'] };
+
+const routine = {
+    name: 'Warm-up',
+    exercises: [
+        { bpm: 80, duration: 60, meter: '4/4', scoringMode: 'interval', rest: 20 },
+        { bpm: 100, duration: 30, meter: '3/4', scoringMode: 'phase', rest: 0 },
+        { bpm: 120, duration: 45, meter: '6/8', scoringMode: 'phase', rest: 10 },
+    ],
+};
+
+// ========================================
+// Validation
+// ========================================
+
+test('a routine is checked and its name trimmed', () => {
+    const checked = normalizeRoutine({ ...routine, name: '  Warm-up ' }, CHOICES);
+    assert.equal(checked.name, 'Warm-up');
+    assert.equal(checked.id, null);
+    assert.deepEqual(checked.exercises, routine.exercises);
+});
+
+test('a missing rest counts as none', () => {
+    const checked = normalizeRoutine({
+        name: 'Short',
+        exercises: [{ bpm: 90, duration: 30, meter: '4/4', scoringMode: 'interval' }],
+    }, CHOICES);
+    assert.equal(checked.exercises[0].rest, 0);
+});
+
+test('a routine without a name or exercises is rejected', () => {
+    assert.throws(() => normalizeRoutine({ ...routine, name: ' ' }, CHOICES), /needs a name/);
+    assert.throws(() => normalizeRoutine({ name: 'Empty', exercises: [] }, CHOICES), /no exercises/);
+});
+
+test('a bad exercise is named in the message', () => {
+    const broken = (change) => ({
+        ...routine,
+        exercises: [routine.exercises[0], { ...routine.exercises[1], ...change }],
+    });
+    assert.throws(() => normalizeRoutine(broken({ bpm: 300 }), CHOICES), /exercise 2: tempo should be a whole number from 40 to 240/);
+    assert.throws(() => normalizeRoutine(broken({ duration: 12.5 }), CHOICES), /exercise 2: length/);
+    assert.throws(() => normalizeRoutine(broken({ meter: '9/8' }), CHOICES), /exercise 2: no 9\/8 time signature/);
+    assert.throws(() => normalizeRoutine(broken({ scoringMode: 'swing' }), CHOICES), /exercise 2: no "swing" scoring mode/);
+});
+
+// ========================================
+// Timing
+// ========================================
+
+test('each countdown is the rest before it, but never too short to get ready', () => {
+    assert.equal(getCountdown(routine, 0), ROUTINE_COUNTDOWN);
+    assert.equal(getCountdown(routine, 1), 20);
+    assert.equal(getCountdown(routine, 2), ROUTINE_COUNTDOWN);
+    assert.equal(getRoutineLength(routine), 5 + 60 + 20 + 30 + 5 + 45);
+});
+
+// ========================================
+// Report
+// ========================================
+
+test('overall accuracy is weighted by scored taps', () => {
+    const report = summarizeRoutine([
+        { scoredCount: 30, accuracy: 90, consistency: 70 },
+        { scoredCount: 10, accuracy: 98, consistency: 90 },
+        { scoredCount: 0, accuracy: 0, consistency: null },
+    ]);
+    assert.equal(report.count, 3);
+    assert.equal(report.scoredCount, 40);
+    assert.equal(report.accuracy, 92);
+    assert.equal(report.consistency, 80);
+    assert.equal(report.best, 1);
+    assert.equal(report.worst, 0);
+});
+
+test('a routine with nothing scored has no results', () => {
+    const report = summarizeRoutine([{ scoredCount: 0, accuracy: 0, consistency: null }]);
+    assert.equal(report.accuracy, null);
+    assert.equal(report.consistency, null);
+    assert.equal(report.best, null);
+});
@@ -0,0 +1,173 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+
+const {
+    buildPresetURL,
+    parsePreset,
+    packSession,
+    unpackSession,
+    encodeShareCode,
+    decodeShareCode,
+    buildResultURL,
+    buildRoutineURL,
+    parseRoutineLink,
+} = require('../src/static/js/share-link.js');
+
+/**
+ * A serialized session shaped like TapTempoState.serialize() output, with
+ * times that don't fall on whole milliseconds
+ */
+function makeSession({ voices = 1 } = {}) {
+    const voice = (shift) => ({
+        taps: [0, 500.26, 1003.71, 1497.5].map(time => time + shift),
+        tapOffsets: [null, 0.26, 3.71, -2.5],
+        tapMuted: [false, false, true, false],
+        tapTargets: [500, 500, 500, 500],
+        tapBPMs: [120, 120, 120, 120],
+        tapBeats: [null, 1, 2, 3],
+    });
+    const session = {
+        targetBPM: 120,
+        sessionDuration: 60,
+        scoringMode: 'phase',
+        beatsPerBar: 4,
+        expectedTotalTaps: null,
+        ...voice(0),
+        beats: [{ index: 0, bar: 0, timeMs: 0, interval: 500, bpm: 120 }],
+    };
+    if (voices > 1) session.voices = [voice(12.04)];
+    return session;
+}
+
+const record = {
+    savedAt: 1760000000000,
+    settings: { bpm: 120, duration: 60, scoringMode: 'phase', meter: '4/4', pattern: null, voices: null },
+    session: makeSession(),
+    stats: { accuracy: 97.5 },
+};
+
+// ========================================
+// Presets
+// ========================================
+
+test('a preset link carries tempo, duration, mode and meter', () => {
+    const url = buildPresetURL('https://bpmclock.com', {
+        bpm: 90, duration: 120, scoringMode: 'phase', meter: '3/4', soundSet: 'wood',
+    });
+    assert.equal(url, 'https://bpmclock.com/train?bpm=90&duration=120&mode=phase&meter=3%2F4');
+    assert.deepEqual(parsePreset(new URL(url).search), {
+        bpm: 90, duration: 120, scoringMode: 'phase', meter: '3/4',
+    });
+});
+
+test('a preset can set only some settings', () => {
+    assert.deepEqual(parsePreset('?bpm=72'), { bpm: 72 });
+    assert.equal(parsePreset(''), null);
+    assert.equal(parsePreset('?utm_source=mail'), null);
+});
+
+test('a preset with a malformed number is rejected with a readable message', () => {
+    assert.throws(() => parsePreset('?bpm=fast'), /bpm should be a whole number/);
+    assert.throws(() => parsePreset('?duration=-30'), /duration/);
+});
+
+// ========================================
+// Routines
+// ========================================
+
+test('a routine link round-trips its name and exercises', () => {
+    const routine = {
+        id: 'routine-1',
+        name: 'Odd meters',
+        exercises: [
+            { bpm: 90, duration: 60, meter: '7/8', scoringMode: 'phase', rest: 15 },
+            { bpm: 110, duration: 30, meter: '5/8', scoringMode: 'interval', rest: 0 },
+        ],
+    };
+    const url = buildRoutineURL('https://bpmclock.com', routine);
+    assert.equal(url, 'https://bpmclock.com/routine?name=Odd+meters&ex=90%2C60%2C7%2F8%2Cphase%2C15&ex=110%2C30%2C5%2F8%2Cinterval%2C0');
+    assert.deepEqual(parseRoutineLink(new URL(url).search), { name: routine.name, exercises: routine.exercises });
+});
+
+test('a routine link is parsed as it stands, missing values and all', () => {
+    assert.deepEqual(parseRoutineLink('?ex=fast,60'), {
+        name: '',
+        exercises: [{ bpm: NaN, duration: 60, meter: '', scoringMode: '', rest: 0 }],
+    });
+});
+
+// ========================================
+// Packing Sessions
+// ========================================
+
+test('unpacking restores the taps to a tenth of a millisecond', () => {
+    const session = unpackSession(packSession(makeSession()));
+    assert.deepEqual(session.taps, [0, 500.3, 1003.7, 1497.5]);
+    assert.deepEqual(session.tapOffsets, [null, 0.3, 3.7, -2.5]);
+    assert.deepEqual(session.tapMuted, [false, false, true, false]);
+    assert.deepEqual(session.tapBeats, [null, 1, 2, 3]);
+    assert.equal(session.scoringMode, 'phase');
+    assert.equal(session.voices, undefined);
+});
+
+test('a counted-in session keeps the beat it started on', () => {
+    assert.equal(unpackSession(packSession({ ...makeSession(), firstBeat: 0 })).firstBeat, 0);
+    assert.equal(unpackSession(packSession(makeSession())).firstBeat, null);
+});
+
+test('packed taps are stored as gaps, and the beat timeline is dropped', () => {
+    const packed = packSession(makeSession());
+    assert.deepEqual(packed.voices[0].t, [0, 5003, 5034, 4938]);
+    assert.deepEqual(unpackSession(packed).beats, []);
+});
+
+test('every voice of an independence session is kept', () => {
+    const session = unpackSession(packSession(makeSession({ voices: 2 })));
+    assert.equal(session.voices.length, 1);
+    assert.deepEqual(session.voices[0].taps, [12, 512.3, 1015.8, 1509.5]);
+});
+
+// ========================================
+// Share Codes
+// ========================================
+
+test('a share code round-trips a session record without its stats', async () => {
+    const code = await encodeShareCode(record);
+    assert.match(code, /^[A-Za-z0-9_-]+$/);
+
+    const decoded = await decodeShareCode(code);
+    assert.equal(decoded.savedAt, record.savedAt);
+    assert.deepEqual(decoded.settings, record.settings);
+    assert.deepEqual(decoded.session.tapBeats, record.session.tapBeats);
+    assert.equal(decoded.stats, null);
+});
+
+test('a session saved before beat alignment shares with no beat indexes', async () => {
+    const { tapBeats, ...session } = record.session;
+    const decoded = await decodeShareCode(await encodeShareCode({ ...record, session }));
+    assert.equal(decoded.session.taps.length, 4);
+    assert.deepEqual(decoded.session.tapBeats, [null, null, null, null]);
+});
+
+test('a result link puts the code after the hash', async () => {
+    const url = await buildResultURL('https://bpmclock.com', record);
+    assert.ok(url.startsWith('https://bpmclock.com/result#'));
+    const decoded = await decodeShareCode(url.split('#')[1]);
+    assert.equal(decoded.session.taps.length, 4);
+});
+
+test('a damaged share code is rejected with a readable message', async () => {
+    const code = await encodeShareCode(record);
+    await assert.rejects(decodeShareCode(code.slice(0, code.length / 2)), /incomplete or damaged/);
+    await assert.rejects(decodeShareCode('not a code!'), /incomplete or damaged/);
+});
+
+test('a share code that decodes but has broken tap data is rejected as damaged', async () => {
+    const short = { ...record, session: { ...record.session, tapBPMs: [120, 120] } };
+    await assert.rejects(decodeShareCode(await encodeShareCode(short)), /incomplete or damaged/);
+
+    const json = JSON.stringify({ v: 1, savedAt: 0, settings: {}, session: { bpm: 120 } });
+    const code = zlib.deflateSync(json).toString('base64url');
+    await assert.rejects(decodeShareCode(code), /incomplete or damaged/);
+});
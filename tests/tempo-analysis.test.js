@@ -0,0 +1,509 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    INTEGRAL_MODES,
+    THRESHOLDS,
+    SCORING_MODES,
+    TAP_EVENTS,
+    findNearestBeat,
+    categorizeError,
+    analyzeSession,
+    getTempoCurve,
+    describeErrors,
+    buildHistogram,
+    compareVoices,
+    measureEnsemble,
+} = require('../src/static/js/tempo-analysis.js');
+
+// ========================================
+// Synthetic Tap Streams
+// ========================================
+
+const BPM = 120;
+const INTERVAL = 500;
+
+/**
+ * Tap times from a list of intervals, starting at 0
+ */
+function fromIntervals(intervals) {
+    const taps = [0];
+    intervals.forEach(interval => taps.push(taps[taps.length - 1] + interval));
+    return taps;
+}
+
+function repeat(value, count) {
+    return Array.from({ length: count }, () => value);
+}
+
+/**
+ * Small deterministic PRNG so the jittery stream is the same on every run
+ */
+function seededRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+}
+
+function beatGrid(count, interval = INTERVAL) {
+    return Array.from({ length: count }, (_, index) => ({
+        index,
+        timeMs: index * interval,
+        interval,
+        bpm: 60000 / interval,
+        muted: false,
+    }));
+}
+
+const perfect = fromIntervals(repeat(INTERVAL, 32));
+const rushing = fromIntervals(repeat(485, 32));
+const dragging = fromIntervals(repeat(515, 32));
+const accelerating = fromIntervals(Array.from({ length: 32 }, (_, i) => INTERVAL - i * 3));
+const random = seededRandom(42);
+const jittery = fromIntervals(Array.from({ length: 64 }, () => INTERVAL + (random() - 0.5) * 120));
+
+// ========================================
+// Helpers
+// ========================================
+
+test('findNearestBeat picks the closest beat either side', () => {
+    const beats = beatGrid(4);
+    assert.equal(findNearestBeat(beats, 240).index, 0);
+    assert.equal(findNearestBeat(beats, 260).index, 1);
+    assert.equal(findNearestBeat(beats, 5000).index, 3);
+    assert.equal(findNearestBeat([], 100), null);
+});
+
+test('categorizeError follows the thresholds', () => {
+    assert.equal(categorizeError(0), 'perfect');
+    assert.equal(categorizeError(THRESHOLDS.PERFECT), 'good');
+    assert.equal(categorizeError(THRESHOLDS.GOOD), 'off');
+    assert.equal(categorizeError(0.03, { PERFECT: 0.04, GOOD: 0.08 }), 'perfect');
+});
+
+// ========================================
+// Interval Scoring
+// ========================================
+
+test('perfect stream scores 100% with no PID output', () => {
+    const { taps, summary, status } = analyzeSession({ taps: perfect, bpm: BPM });
+
+    assert.equal(taps[0].error, null);
+    assert.equal(summary.tapCount, 33);
+    assert.equal(summary.scoredCount, 32);
+    assert.equal(summary.accuracy, 100);
+    assert.equal(summary.consistency, 100);
+    assert.equal(summary.avgError, 0);
+    assert.equal(summary.tendency, 'balanced');
+    assert.equal(summary.stability, 'very-stable');
+    assert.equal(summary.bestRun, 32);
+    assert.equal(summary.highestHeldBPM, BPM);
+    assert.deepEqual(taps[32].pid, { p: 0, i: 0, d: 0, total: 0 });
+    assert.equal(status.status, 'on-time');
+});
+
+test('rushing stream has negative errors and a growing negative integral', () => {
+    const { taps, summary, status } = analyzeSession({ taps: rushing, bpm: BPM });
+
+    assert.equal(taps[1].error, -15);
+    assert.equal(taps[1].category, 'good');
+    assert.equal(summary.tendency, 'rushing');
+    assert.equal(summary.avgError, -15);
+    assert.equal(summary.bestRun, 0);
+    assert.ok(Math.abs(summary.accuracy - 97) < 1e-9);
+    assert.ok(taps[32].pid.i < taps[2].pid.i);
+    assert.equal(status.status, 'rushing');
+    assert.equal(status.text, 'Rushing overall');
+});
+
+test('dragging stream mirrors rushing', () => {
+    const { summary, status } = analyzeSession({ taps: dragging, bpm: BPM });
+
+    assert.equal(summary.tendency, 'dragging');
+    assert.equal(summary.avgError, 15);
+    assert.equal(status.text, 'Dragging overall');
+});
+
+test('accelerating stream loses accuracy as the intervals shrink', () => {
+    const { taps, summary } = analyzeSession({ taps: accelerating, bpm: BPM });
+
+    const accuracies = taps.slice(1).map(tap => tap.accuracy);
+    accuracies.slice(1).forEach((accuracy, i) => assert.ok(accuracy < accuracies[i]));
+    assert.equal(taps[1].category, 'perfect');
+    assert.equal(taps[32].category, 'off');
+    assert.equal(summary.tendency, 'rushing');
+    assert.ok(summary.consistency < 100);
+    // Error falls by a steady 3ms a tap, so D settles at Kd * -3
+    assert.ok(Math.abs(taps[32].pid.d - (-1.5)) < 1e-9);
+});
+
+test('jittery stream is balanced but less consistent', () => {
+    const { summary } = analyzeSession({ taps: jittery, bpm: BPM });
+
+    assert.ok(Math.abs(summary.avgError) < INTERVAL * 0.02);
+    assert.equal(summary.tendency, 'balanced');
+    assert.ok(summary.consistency > 80 && summary.consistency < 100);
+    assert.ok(summary.accuracy > 90 && summary.accuracy < 100);
+    assert.notEqual(summary.stability, 'very-stable');
+});
+
+// ========================================
+// Phase Scoring and Context
+// ========================================
+
+test('phase scoring measures each tap against the nearest beat', () => {
+    const beats = beatGrid(34);
+    const late = perfect.map(time => time + 20);
+    const { taps, summary } = analyzeSession({
+        taps: late,
+        bpm: BPM,
+        scoringMode: SCORING_MODES.PHASE,
+        beats,
+    });
+
+    // Every tap is scored in phase mode, including the first
+    assert.equal(summary.scoredCount, 33);
+    assert.equal(taps[0].offset, 20);
+    assert.equal(summary.avgError, 20);
+    assert.equal(summary.tendency, 'dragging');
+    assert.equal(summary.audible.count, 33);
+    assert.equal(summary.silent, null);
+
+    // The same taps score perfectly by interval
+    assert.equal(analyzeSession({ taps: late, bpm: BPM, beats }).summary.accuracy, 100);
+});
+
+test('recorded per-tap context takes precedence over the beat timeline', () => {
+    const { taps, summary } = analyzeSession({
+        taps: [0, 400, 800, 1200],
+        bpm: BPM,
+        targets: [400, 400, 400, 400],
+        tapBPMs: [150, 150, 150, 150],
+        offsets: [0, 0, 0, null],
+        muted: [false, false, true, true],
+        beats: beatGrid(4),
+    });
+
+    assert.equal(summary.accuracy, 100);
+    assert.equal(taps[1].bpm, 150);
+    assert.equal(taps[3].offset, null);
+    assert.equal(summary.audible.count, 2);
+    assert.equal(summary.silent.count, 1);
+});
+
+test('highest held tempo needs a full bar of good taps at one tempo', () => {
+    const taps = fromIntervals([...repeat(500, 4), ...repeat(400, 3)]);
+    const tapBPMs = [...repeat(120, 5), ...repeat(150, 3)];
+    const targets = tapBPMs.map(bpm => 60000 / bpm);
+
+    const held = analyzeSession({ taps, bpm: BPM, targets, tapBPMs, beatsPerBar: 4 });
+    assert.equal(held.summary.highestHeldBPM, 120);
+
+    const shorter = analyzeSession({ taps, bpm: BPM, targets, tapBPMs, beatsPerBar: 3 });
+    assert.equal(shorter.summary.highestHeldBPM, 150);
+});
+
+// ========================================
+// Tempo Curve
+// ========================================
+
+test('tempo curve has one point per interval at the tapped tempo', () => {
+    const curve = getTempoCurve(analyzeSession({ taps: dragging, bpm: BPM }).taps);
+
+    assert.equal(curve.length, 32);
+    assert.equal(curve[0].index, 1);
+    assert.ok(Math.abs(curve[0].bpm - 60000 / 515) < 1e-9);
+    assert.equal(curve[0].targetBPM, BPM);
+});
+
+test('smoothed tempo follows a step change gradually', () => {
+    const taps = fromIntervals([...repeat(500, 8), ...repeat(400, 8)]);
+    const curve = getTempoCurve(analyzeSession({ taps, bpm: BPM }).taps, 0.5);
+
+    assert.equal(curve[7].smoothedBPM, 120);
+    assert.equal(curve[8].bpm, 150);
+    assert.equal(curve[8].smoothedBPM, 60000 / 450);
+    assert.ok(curve[15].smoothedBPM > 149 && curve[15].smoothedBPM < 150);
+});
+
+// ========================================
+// Error Distribution
+// ========================================
+
+test('describeErrors gives mean, median, spread and percentiles', () => {
+    const stats = describeErrors([-10, -5, 0, 5, 10]);
+
+    assert.equal(stats.mean, 0);
+    assert.equal(stats.median, 0);
+    assert.ok(Math.abs(stats.stdDev - Math.sqrt(50)) < 1e-9);
+    assert.equal(stats.p25, -5);
+    assert.equal(stats.p75, 5);
+    assert.equal(stats.p5, -9);
+    assert.equal(stats.p95, 9);
+    assert.equal(stats.outliers, 0);
+    assert.equal(describeErrors([]), null);
+});
+
+test('describeErrors counts taps outside the Tukey fences', () => {
+    const stats = describeErrors([-6, -4, -2, 0, 2, 4, 6, 120]);
+    assert.equal(stats.outliers, 1);
+});
+
+test('histogram bins are centred on zero and hold every error', () => {
+    const errors = [-12, -3, 0, 0, 4, 9, 300];
+    const bins = buildHistogram(errors);
+
+    assert.ok(bins.length <= 24);
+    assert.equal(bins.reduce((sum, bin) => sum + bin.count, 0), errors.length);
+    assert.equal(bins.length % 2, 0);
+    assert.equal(bins[bins.length / 2].from, 0);
+    assert.deepEqual(buildHistogram([]), []);
+});
+
+test('drift is the slope of tempo against time', () => {
+    // Intervals shrink 1ms a tap: the tempo climbs steadily
+    const steady = analyzeSession({ taps: perfect, bpm: BPM }).summary;
+    const speeding = analyzeSession({ taps: fromIntervals(Array.from({ length: 120 }, (_, i) => 500 - i)), bpm: BPM }).summary;
+
+    assert.equal(steady.driftPerMinute, 0);
+    assert.ok(speeding.driftPerMinute > 30);
+});
+
+test('double-length and very short intervals count as missed beats and double taps', () => {
+    const taps = fromIntervals([500, 500, 1000, 500, 60, 440, 1500, 500]);
+    const { summary } = analyzeSession({ taps, bpm: BPM });
+
+    assert.equal(summary.missedBeats, 3);
+    assert.equal(summary.doubleTaps, 1);
+});
+
+// ========================================
+// Beat Alignment
+// ========================================
+
+test('a missed beat is labelled and scored per beat, not as one long interval', () => {
+    const taps = fromIntervals([500, 500, 1000, 500, 500]);
+    const { taps: results, summary } = analyzeSession({ taps, bpm: BPM });
+
+    assert.equal(results[3].missedBefore, 1);
+    assert.equal(results[3].slot, 4);
+    assert.equal(results[3].error, 0);
+    assert.equal(summary.missedBeats, 1);
+    assert.equal(summary.accuracy, 100);
+    assert.deepEqual(results[5].pid, { p: 0, i: 0, d: 0, total: 0 });
+});
+
+test('a quick second hit is a double tap and leaves scoring untouched', () => {
+    const taps = fromIntervals([500, 500, 40, 460, 500]);
+    const { taps: results, summary } = analyzeSession({ taps, bpm: BPM });
+
+    assert.equal(results[3].event, TAP_EVENTS.DOUBLE);
+    assert.equal(results[3].error, null);
+    assert.equal(results[3].pid, null);
+    // The next tap is measured from the last counted tap
+    assert.equal(results[4].error, 0);
+    assert.equal(summary.doubleTaps, 1);
+    assert.equal(summary.scoredCount, 4);
+    assert.equal(summary.accuracy, 100);
+});
+
+test('a later tap on an already taken beat is an extra tap', () => {
+    const taps = fromIntervals([500, 500, 200, 300, 500]);
+    const { taps: results, summary } = analyzeSession({ taps, bpm: BPM });
+
+    assert.equal(results[3].event, TAP_EVENTS.EXTRA);
+    assert.equal(summary.extraTaps, 1);
+    assert.equal(summary.doubleTaps, 0);
+    assert.equal(summary.accuracy, 100);
+});
+
+test('beat indexes from the metronome decide alignment when present', () => {
+    const beats = beatGrid(10);
+    // A tap 260ms late on beat 3 is nearer beat 4, so beat 3 counts as missed
+    const taps = [0, 500, 1000, 1760, 2000];
+    const { taps: results, summary } = analyzeSession({
+        taps,
+        bpm: BPM,
+        scoringMode: SCORING_MODES.PHASE,
+        beats,
+    });
+
+    assert.equal(results[3].beatIndex, 4);
+    assert.equal(results[3].missedBefore, 1);
+    assert.equal(results[4].event, TAP_EVENTS.EXTRA);
+    assert.equal(summary.missedBeats, 1);
+});
+
+test('after a count-in, beats before the first tap count as missed', () => {
+    const beats = beatGrid(10);
+    const taps = [1000, 1500, 2000];
+    const input = { taps, bpm: BPM, scoringMode: SCORING_MODES.PHASE, beats };
+
+    const counted = analyzeSession({ ...input, firstBeat: 0 });
+    assert.equal(counted.taps[0].missedBefore, 2);
+    assert.equal(counted.taps[0].slot, 2);
+    assert.equal(counted.taps[2].slot, 4);
+    assert.equal(counted.summary.missedBeats, 2);
+
+    // Started by the first tap, it's the first beat of the session
+    assert.equal(analyzeSession(input).summary.missedBeats, 0);
+});
+
+test('a missed beat breaks a perfect run', () => {
+    const taps = fromIntervals([...repeat(500, 4), 1000, ...repeat(500, 3)]);
+    assert.equal(analyzeSession({ taps, bpm: BPM }).summary.bestRun, 4);
+});
+
+// ========================================
+// Scoring Profile
+// ========================================
+
+test('tighter thresholds change categories, runs and status', () => {
+    const pro = { PERFECT: 0.01, GOOD: 0.03, ACCEPTABLE: 0.06 };
+    const taps = fromIntervals(repeat(492, 16));
+
+    const standard = analyzeSession({ taps, bpm: BPM });
+    const strict = analyzeSession({ taps, bpm: BPM, thresholds: pro });
+
+    assert.equal(standard.taps[1].category, 'perfect');
+    assert.equal(strict.taps[1].category, 'good');
+    assert.equal(standard.summary.bestRun, 16);
+    assert.equal(strict.summary.bestRun, 0);
+    assert.equal(standard.status.status, 'on-time');
+    assert.notEqual(strict.status.status, 'on-time');
+});
+
+test('gains scale the PID terms', () => {
+    const { taps } = analyzeSession({ taps: rushing, bpm: BPM, pid: { Kp: 2, Ki: 0, Kd: 0 } });
+
+    assert.equal(taps[5].pid.p, -30);
+    assert.equal(taps[5].pid.total, -30);
+});
+
+test('accumulating integral grows without bound', () => {
+    const { taps } = analyzeSession({ taps: rushing, bpm: BPM, pid: { Ki: 1 } });
+
+    assert.equal(taps[32].pid.i, -15 * 32);
+});
+
+test('leaky integral settles at error / (1 - leak)', () => {
+    const { taps } = analyzeSession({
+        taps: rushing,
+        bpm: BPM,
+        pid: { Ki: 1, integral: INTEGRAL_MODES.LEAKY, leak: 0.5 },
+    });
+
+    assert.ok(Math.abs(taps[32].pid.i - (-30)) < 1e-6);
+});
+
+test('windowed integral only sums the last few errors', () => {
+    const { taps } = analyzeSession({
+        taps: rushing,
+        bpm: BPM,
+        pid: { Ki: 1, integral: INTEGRAL_MODES.WINDOWED, window: 4 },
+    });
+
+    assert.equal(taps[3].pid.i, -45);
+    assert.equal(taps[32].pid.i, -60);
+});
+
+test('integral restarts when the target tempo changes', () => {
+    const taps = fromIntervals([...repeat(485, 8), ...repeat(388, 8)]);
+    const tapBPMs = [...repeat(120, 9), ...repeat(150, 8)];
+    const targets = tapBPMs.map(bpm => 60000 / bpm);
+    const result = analyzeSession({ taps, bpm: BPM, targets, tapBPMs, pid: { Ki: 1 } });
+
+    assert.equal(result.taps[8].pid.i, -15 * 8);
+    assert.equal(result.taps[9].pid.i, -12);
+});
+
+// ========================================
+// Voice Alignment
+// ========================================
+
+/**
+ * Analysed taps at `shift(i)` ms from each note `notes[i]` (in ms)
+ */
+function voice(notes, shift = () => 0) {
+    const taps = notes.map((note, i) => note + shift(i));
+    return analyzeSession({
+        taps,
+        bpm: BPM,
+        offsets: taps.map((tap, i) => tap - notes[i]),
+        beatIndexes: notes.map((note, i) => i),
+    }).taps;
+}
+
+test('voices are compared only on the notes they share', () => {
+    const quarters = voice([0, 500, 1000, 1500, 2000]);
+    // Dotted quarter + eighth: shares the notes at 0 and 2000, 4ms behind
+    const dotted = voice([0, 750, 1000, 1750, 2000], () => 4);
+
+    const comparison = compareVoices(quarters, dotted);
+    assert.equal(comparison.shared, 3);
+    assert.equal(comparison.meanGap, 4);
+    assert.equal(comparison.meanAbsGap, 4);
+});
+
+test('flams either way show in the spread but cancel in the mean', () => {
+    const left = voice([0, 500, 1000, 1500]);
+    const right = voice([0, 500, 1000, 1500], i => (i % 2 === 0 ? 10 : -10));
+
+    const comparison = compareVoices(left, right);
+    assert.equal(comparison.meanGap, 0);
+    assert.equal(comparison.meanAbsGap, 10);
+    assert.equal(comparison.maxAbsGap, 10);
+});
+
+test('voices with no notes in common have nothing to compare', () => {
+    assert.equal(compareVoices(voice([0, 500, 1000]), voice([250, 750, 1250])), null);
+});
+
+test('an ensemble is measured on the notes two or more players shared', () => {
+    const steady = voice([0, 500, 1000, 1500]);
+    const behind = voice([0, 500, 1000, 1500], () => 10);
+    // Ahead by 20ms, and only on the first two notes
+    const ahead = voice([0, 500], () => -20);
+
+    const ensemble = measureEnsemble([steady, behind, ahead]);
+    assert.equal(ensemble.notes, 4);
+    assert.equal(ensemble.meanSpread, 20);
+    assert.equal(ensemble.maxSpread, 30);
+    assert.equal(ensemble.tightness, 96);
+    assert.deepEqual(ensemble.leads.map(lead => Math.round(lead)), [-1, 9, -17]);
+});
+
+test('a player alone on every note has no ensemble to measure', () => {
+    const ensemble = measureEnsemble([voice([0, 500, 1000]), voice([250, 750, 1250])]);
+    assert.equal(ensemble, null);
+    assert.equal(measureEnsemble([voice([0, 500])]), null);
+});
+
+// ========================================
+// Determinism
+// ========================================
+
+test('analysis is pure: same input, same output, input untouched', () => {
+    const input = { taps: jittery.slice(), bpm: BPM };
+    const snapshot = JSON.parse(JSON.stringify(input));
+
+    const first = analyzeSession(input);
+    const second = analyzeSession(input);
+
+    assert.deepEqual(first, second);
+    assert.deepEqual(input, snapshot);
+});
+
+test('a prefix of the stream scores the same as the live session did at that point', () => {
+    const full = analyzeSession({ taps: jittery, bpm: BPM });
+    const partial = analyzeSession({ taps: jittery.slice(0, 20), bpm: BPM });
+
+    assert.deepEqual(partial.taps, full.taps.slice(0, 20));
+});
+
+test('too few scored taps keeps the status warming up', () => {
+    assert.equal(analyzeSession({ taps: [], bpm: BPM }).status.status, 'warming-up');
+    assert.equal(analyzeSession({ taps: [0, 500, 1000], bpm: BPM }).status.status, 'warming-up');
+});